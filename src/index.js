@@ -20,6 +20,8 @@
  * @module props-model
  */
 import { PropsModel as _PropsModel } from './lib/props-model'
+import { codecs as _codecs } from './lib/codecs'
+import { comparators as _comparators } from './lib/comparators'
 
 /**
  * The named 'PropsModel' export for the module, which is the same as the default export.
@@ -30,4 +32,22 @@ import { PropsModel as _PropsModel } from './lib/props-model'
  */
 export const PropsModel = _PropsModel
 
+/**
+ * The built-in codecs, which can be named with the `codec` option when defining a property.
+ * See {@link codecs} for the list.
+ *
+ * @static
+ * @type {Object<string, codec>}
+ */
+export const codecs = _codecs
+
+/**
+ * The built-in equality functions, which can be used with the `equals` option when defining a property or
+ * creating a model. See {@link comparators}.
+ *
+ * @static
+ * @type {object}
+ */
+export const comparators = _comparators
+
 export default PropsModel
@@ -0,0 +1,69 @@
+/* global BigInt */
+
+/**
+ * Built-in codecs that can be specified by name with the `codec` option when defining a property (see {@link propOptions}),
+ * so that [toJSON()]{@link PropsModelApi#toJSON} and [restore()]{@link PropsModel#restore} can round-trip values that
+ * JSON can't represent directly. A `null` or `undefined` value is passed through unchanged by each of them.
+ *
+ * * `date`: a `Date` is serialized as its ISO-8601 string.
+ * * `map`: a `Map` is serialized as an array of `[key, value]` entries.
+ * * `set`: a `Set` is serialized as an array of its values.
+ * * `bigint`: a `BigInt` is serialized as its decimal string.
+ *
+ * @type {Object<string, codec>}
+ */
+export const codecs = {
+  date: createCodec(
+    (date) => date.toISOString(),
+    (isoString) => new Date(isoString)
+  ),
+  map: createCodec(
+    (map) => Array.from(map.entries()),
+    (entries) => new Map(entries)
+  ),
+  set: createCodec(
+    (set) => Array.from(set),
+    (values) => new Set(values)
+  ),
+  bigint: createCodec(
+    (bigint) => bigint.toString(),
+    (decimalString) => BigInt(decimalString)
+  )
+}
+
+/**
+ * Get the codec described by the given `codec` option.
+ *
+ * @private
+ * @param {string|codec} [codec] The name of a built-in codec, or a custom codec.
+ * @returns {codec} The codec, or an empty object if none was given.
+ * @throws {Error} If the given name is not the name of a built-in codec.
+ */
+export function resolveCodec (codec) {
+  if (typeof codec === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(codecs, codec)) {
+      throw new Error(`Unknown codec '${codec}'`)
+    }
+    return codecs[codec]
+  }
+  return codec || {}
+}
+
+function createCodec (serialize, deserialize) {
+  return {
+    serialize: skipNullish(serialize),
+    deserialize: skipNullish(deserialize)
+  }
+}
+
+function skipNullish (fn) {
+  return (value) => (value === null || typeof value === 'undefined') ? value : fn(value)
+}
+
+/**
+ * A pair of functions for converting the value of a property to and from a JSON-compatible form.
+ *
+ * @typedef {object} codec
+ * @property {function(*):*} serialize Converts a property value to a JSON-compatible value.
+ * @property {function(*):*} deserialize Converts a serialized value back into a property value.
+ */
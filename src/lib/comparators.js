@@ -0,0 +1,153 @@
+/**
+ * Equality functions that can be used to decide whether or not a property has changed, with the `equals` option
+ * when defining a property (see {@link propOptions}) or as the model-wide default given to the {@link PropsModel}
+ * constructor. Each takes two values and returns `true` if they should be considered equal, in which case no
+ * change event is fired.
+ *
+ * The following can also be specified by name, in place of the function:
+ *
+ * * `'strict'`: {@link comparators.strictEqual}, the default.
+ * * `'shallow'`: {@link comparators.shallowEqual}.
+ * * `'deep'`: {@link comparators.deepEqual}.
+ * * `'epsilon'`: {@link comparators.withinEpsilon} with the default tolerance.
+ *
+ * @namespace comparators
+ */
+export const comparators = {
+  strictEqual,
+  shallowEqual,
+  deepEqual,
+  equalBy,
+  withinEpsilon
+}
+
+const namedComparators = {
+  strict: strictEqual,
+  shallow: shallowEqual,
+  deep: deepEqual,
+  epsilon: withinEpsilon()
+}
+
+/**
+ * Values are equal if they are identical (`===`).
+ *
+ * @memberof comparators
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function strictEqual (a, b) {
+  return a === b
+}
+
+/**
+ * Values are equal if they are the same value, or if they are arrays, `Map`s, `Set`s, or objects of the same
+ * type whose elements or own enumerable properties are each the same value. Dates are equal if they represent
+ * the same time. "The same value" means according to `Object.is`.
+ *
+ * @memberof comparators
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function shallowEqual (a, b) {
+  return structurallyEqual(a, b, Object.is)
+}
+
+/**
+ * Like {@link comparators.shallowEqual}, but elements and properties are compared recursively. Values must
+ * not contain circular references.
+ *
+ * @memberof comparators
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function deepEqual (a, b) {
+  return structurallyEqual(a, b, deepEqual)
+}
+
+/**
+ * Create an equality function that compares values by a key derived from each, e.g., an `id` property.
+ *
+ * @memberof comparators
+ * @param {function(*):*} keyFn Invoked with each value to get the key to compare.
+ * @param {function(*, *):boolean|string} [equals='strict'] How to compare the keys.
+ * @returns {function(*, *):boolean}
+ */
+function equalBy (keyFn, equals = strictEqual) {
+  const keysEqual = resolveEquals(equals)
+  return (a, b) => keysEqual(keyFn(a), keyFn(b))
+}
+
+/**
+ * Create an equality function for numbers which treats numbers that differ by no more than the given tolerance as
+ * equal. Values that aren't both numbers are compared strictly.
+ *
+ * @memberof comparators
+ * @param {number} [epsilon=Number.EPSILON] The tolerance.
+ * @returns {function(*, *):boolean}
+ */
+function withinEpsilon (epsilon = Number.EPSILON) {
+  return (a, b) => a === b || (
+    typeof a === 'number' && typeof b === 'number' && Math.abs(a - b) <= epsilon
+  )
+}
+
+/**
+ * Get the equality function described by the given name or function.
+ *
+ * @private
+ * @param {string|function(*, *):boolean} equals
+ * @returns {function(*, *):boolean}
+ * @throws {Error} If the given name is not the name of a built-in comparator.
+ */
+export function resolveEquals (equals) {
+  if (typeof equals === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(namedComparators, equals)) {
+      throw new Error(`Unknown comparator '${equals}'`)
+    }
+    return namedComparators[equals]
+  }
+  return equals
+}
+
+/**
+ * Get a {@link didChange} function from the given equality function or comparator name.
+ *
+ * @private
+ */
+export function equalsToDidChange (equals) {
+  const resolved = resolveEquals(equals)
+  return (newValue, oldValue) => !resolved(newValue, oldValue)
+}
+
+function structurallyEqual (a, b, elementsEqual) {
+  if (Object.is(a, b)) {
+    return true
+  }
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return false
+  }
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return false
+  }
+  if (a instanceof Date) {
+    return a.getTime() === b.getTime()
+  }
+  if (a instanceof Map) {
+    return a.size === b.size && Array.from(a).every(
+      ([key, value]) => b.has(key) && elementsEqual(value, b.get(key))
+    )
+  }
+  if (a instanceof Set) {
+    return a.size === b.size && Array.from(a).every((value) => b.has(value))
+  }
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((value, idx) => elementsEqual(value, b[idx]))
+  }
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(
+    (key) => Object.prototype.hasOwnProperty.call(b, key) && elementsEqual(a[key], b[key])
+  )
+}
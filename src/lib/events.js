@@ -0,0 +1,176 @@
+/* global CustomEvent */
+
+/**
+ * Create the event transport a model uses to emit its events and register listeners, from whatever was given to the
+ * [PropsModel constructor]{@link PropsModel}: nothing, for a built-in dispatcher; a node
+ * [EventEmitter]{@link external:EventEmitter}; a DOM-style `EventTarget`; or an {@link eventAdapter}.
+ *
+ * @private
+ * @param {external:EventEmitter|EventTarget|eventAdapter} [backend] The backend to adapt.
+ * @returns {eventAdapter} An adapter for the backend, including its `hasListeners` method.
+ * @throws {Error} If the backend isn't any of the supported kinds.
+ */
+export function createEventTransport (backend) {
+  if (backend == null) {
+    return createDispatcher()
+  }
+  if (typeof backend.subscribe === 'function' && typeof backend.emit === 'function') {
+    return fromAdapter(backend)
+  }
+  if (typeof backend.on === 'function' && typeof backend.emit === 'function') {
+    return fromEventEmitter(backend)
+  }
+  if (typeof backend.addEventListener === 'function' && typeof backend.dispatchEvent === 'function') {
+    return fromEventTarget(backend)
+  }
+  throw new Error('Unsupported event emitter: expected an EventEmitter, an EventTarget, or an event adapter')
+}
+
+/**
+ * Create the function a model uses to name its events, from the `eventNames` option given to the
+ * [PropsModel constructor]{@link PropsModel}: either a prefix for the default names, or a function that names each event.
+ *
+ * @private
+ * @param {string|eventNamer} [eventNames=''] The prefix or function.
+ * @returns {eventNamer} The function that names each event.
+ * @throws {Error} If the option is neither a string nor a function.
+ */
+export function createEventNamer (eventNames = '') {
+  if (typeof eventNames === 'function') {
+    return (type, propName) => eventNames(type, propName)
+  }
+  if (typeof eventNames === 'string') {
+    return (type, propName) => `${eventNames}${defaultEventName(type, propName)}`
+  }
+  throw new Error('The eventNames option must be a string or a function')
+}
+
+/**
+ * Events about a property are named by the property name and the type of event, e.g., `width-changed`; events about the
+ * model as a whole are named by their type alone, e.g., `prop-chain-completed`.
+ *
+ * @private
+ */
+function defaultEventName (type, propName) {
+  return typeof propName === 'undefined' ? type : `${propName}-${type}`
+}
+
+/**
+ * A minimal synchronous dispatcher, used when no backend is given. Listeners are invoked in the order they were
+ * registered; listeners added or removed while an event is being dispatched don't affect that dispatch.
+ *
+ * @private
+ * @returns {eventAdapter}
+ */
+function createDispatcher () {
+  const listeners = new Map()
+  return {
+    subscribe (eventName, listener) {
+      listeners.set(eventName, [...(listeners.get(eventName) || []), listener])
+      return () => {
+        const remaining = (listeners.get(eventName) || []).filter((registered) => registered !== listener)
+        if (remaining.length) {
+          listeners.set(eventName, remaining)
+        } else {
+          listeners.delete(eventName)
+        }
+      }
+    },
+    emit (eventName, args) {
+      (listeners.get(eventName) || []).forEach((listener) => listener(...args))
+    },
+    hasListeners (eventName) {
+      return listeners.has(eventName)
+    }
+  }
+}
+
+function fromEventEmitter (eventEmitter) {
+  return {
+    subscribe (eventName, listener) {
+      eventEmitter.on(eventName, listener)
+      return () => eventEmitter.removeListener(eventName, listener)
+    },
+    emit (eventName, args) {
+      eventEmitter.emit(eventName, ...args)
+    },
+    hasListeners (eventName) {
+      return eventEmitter.listenerCount(eventName) > 0
+    }
+  }
+}
+
+/**
+ * Events are dispatched on an `EventTarget` as `CustomEvent`s whose `detail` is the array of arguments that an
+ * `EventEmitter` listener would be invoked with. Listeners registered through the model are invoked with those
+ * arguments, just like with an `EventEmitter`. Only those listeners are counted by `hasListeners`, since an
+ * `EventTarget` has no way to report its listeners.
+ *
+ * @private
+ * @returns {eventAdapter}
+ */
+function fromEventTarget (eventTarget) {
+  const counts = new Map()
+  return {
+    subscribe (eventName, listener) {
+      const handler = (event) => listener(...event.detail)
+      eventTarget.addEventListener(eventName, handler)
+      counts.set(eventName, (counts.get(eventName) || 0) + 1)
+      return () => {
+        eventTarget.removeEventListener(eventName, handler)
+        counts.set(eventName, counts.get(eventName) - 1)
+      }
+    },
+    emit (eventName, args) {
+      eventTarget.dispatchEvent(new CustomEvent(eventName, { detail: args }))
+    },
+    hasListeners (eventName) {
+      return counts.get(eventName) > 0
+    }
+  }
+}
+
+/**
+ * A custom adapter is used as is, except that one without a `hasListeners` method is assumed to always have listeners.
+ *
+ * @private
+ * @returns {eventAdapter}
+ */
+function fromAdapter (adapter) {
+  return {
+    subscribe: (eventName, listener) => adapter.subscribe(eventName, listener),
+    emit: (eventName, args) => adapter.emit(eventName, args),
+    hasListeners: typeof adapter.hasListeners === 'function' ? (eventName) => Boolean(adapter.hasListeners(eventName)) : () => true
+  }
+}
+
+/**
+ * An object that connects a model to some other event system, which can be given to the [PropsModel constructor]{@link PropsModel}
+ * in place of an event emitter.
+ *
+ * @typedef {object} eventAdapter
+ * @property {function(string, function):function} subscribe Invoked with an event name and a listener, it should register the
+ * listener to be invoked with the arguments of each such event, and return a function that removes the listener.
+ * @property {function(string, Array)} emit Invoked with an event name and an array of arguments, it should synchronously invoke
+ * the listeners for the event with the arguments.
+ * @property {function(string):boolean} [hasListeners] Invoked with an event name, it should return whether or not any listeners
+ * are registered for the event. This is used to skip calculating [lazy properties]{@link propOptions} that nobody is listening to;
+ * without it, lazy properties are always calculated.
+ */
+
+/**
+ * Names the events of a model. Given to the [PropsModel constructor]{@link PropsModel} as the `eventNames` option, this
+ * is used for every event the model fires or listens to, so each model sharing an event emitter can be given its own
+ * names.
+ *
+ * The types of events about a single property, for which the property name is given, are `'changed'`, `'spliced'`
+ * (for [list properties]{@link PropsModel#defineListProp}), and `'invalidated'` (for [lazy properties]{@link propOptions}).
+ * The types of events about the model as a whole, for which the property name is `undefined`, are `'prop-defined'`,
+ * `'prop-removed'`, `'any-change'`, `'prop-chain-completed'`, `'errors-changed'`, `'history-changed'`, and
+ * `'binding-failed'`.
+ *
+ * @callback eventNamer
+ * @param {string} type The type of event.
+ * @param {string} [propName] The name of the property the event is about, if any.
+ * @returns {string} The name of the event.
+ */
@@ -0,0 +1,70 @@
+/**
+ * Render the dependency graph of a model as text, in one of the supported formats. Each property is a node, shaped
+ * according to its kind, with an edge from each property to every property that depends on it.
+ *
+ * @private
+ * @param {Array<{name: string, kind: string, dependsOn: Array<string>}>} nodes The properties to include. Dependencies
+ * that aren't included are left out.
+ * @param {string} format Either `'dot'` or `'mermaid'`.
+ * @returns {string} The rendered graph.
+ * @throws {Error} If the format is unknown.
+ */
+export function renderGraph (nodes, format) {
+  const render = renderers[format]
+  if (!render) {
+    throw new Error(`Unknown graph format '${format}'`)
+  }
+  const names = new Set(nodes.map(({ name }) => name))
+  const edges = [].concat(
+    ...nodes.map(({ name, dependsOn }) => dependsOn.filter((dep) => names.has(dep)).map((dep) => [dep, name]))
+  )
+  return render(nodes, edges)
+}
+
+const DOT_SHAPES = {
+  primary: 'box',
+  list: 'box3d',
+  map: 'component',
+  derived: 'ellipse',
+  view: 'parallelogram',
+  async: 'doubleoctagon',
+  computed: 'hexagon',
+  child: 'folder'
+}
+
+const MERMAID_SHAPES = {
+  primary: ['[', ']'],
+  list: ['[(', ')]'],
+  map: ['[(', ')]'],
+  derived: ['(', ')'],
+  view: ['[/', '/]'],
+  async: ['([', '])'],
+  computed: ['{{', '}}'],
+  child: ['[[', ']]']
+}
+
+const renderers = {
+  dot (nodes, edges) {
+    const quote = (name) => JSON.stringify(name)
+    return [
+      'digraph PropsModel {',
+      ...nodes.map(({ name, kind }) => `  ${quote(name)} [shape=${DOT_SHAPES[kind]}];`),
+      ...edges.map(([from, to]) => `  ${quote(from)} -> ${quote(to)};`),
+      '}'
+    ].join('\n')
+  },
+
+  mermaid (nodes, edges) {
+    // Property names aren't necessarily valid mermaid node ids, so each node gets a generated id and the name as its label.
+    const ids = new Map(nodes.map(({ name }, index) => [name, `p${index}`]))
+    const label = (name) => `"${name.replace(/"/g, '#quot;')}"`
+    return [
+      'flowchart LR',
+      ...nodes.map(({ name, kind }) => {
+        const [open, close] = MERMAID_SHAPES[kind]
+        return `  ${ids.get(name)}${open}${label(name)}${close}`
+      }),
+      ...edges.map(([from, to]) => `  ${ids.get(from)} --> ${ids.get(to)}`)
+    ].join('\n')
+  }
+}
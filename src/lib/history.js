@@ -0,0 +1,124 @@
+/**
+ * Records the changes made to the primary properties of a {@link PropsModel} so that they can be undone
+ * and redone. Instances are created by [enableHistory()]{@link PropsModel#enableHistory}, you won't
+ * typically use this class directly.
+ *
+ * Each change chain that changes at least one primary property is recorded as a single entry. If a property
+ * changes more than once in a chain, the entry records its value from before the first change and its value
+ * after the last. Changes to properties that have since been removed from the model are skipped when an
+ * entry is undone or redone.
+ *
+ * @private
+ */
+export class PropsHistory {
+  /**
+   * @param {PropsModel} propsModel The model whose history is being recorded.
+   * @param {object} [options]
+   * @param {number} [options.limit=100] The maximum number of entries to keep in the undo stack. When this
+   * is exceeded, the oldest entries are discarded.
+   */
+  constructor (propsModel, { limit = 100 } = {}) {
+    this._propsModel = propsModel
+    this._limit = limit
+    this._undoStack = []
+    this._redoStack = []
+    this._replaying = false
+  }
+
+  get canUndo () {
+    return this._undoStack.length > 0
+  }
+
+  get canRedo () {
+    return this._redoStack.length > 0
+  }
+
+  /**
+   * Record the changes from a completed change chain as a new entry, discarding any entries that
+   * could have been redone. Chains caused by undoing or redoing are not recorded, and neither are the initial
+   * values of newly defined properties, which there's nothing to undo to.
+   *
+   * @param {Array<{propName: string, newValue: *, oldValue: *, derived: boolean, cause: string}>} changes The changes
+   * that were made in the chain, in the order their change events were fired.
+   */
+  record (changes) {
+    if (this._replaying) {
+      return
+    }
+    const entry = coalesceChanges(changes.filter(({ derived, cause }) => !derived && cause !== 'define'))
+    if (entry.length === 0) {
+      return
+    }
+    this._undoStack.push(entry)
+    if (this._undoStack.length > this._limit) {
+      this._undoStack.splice(0, this._undoStack.length - this._limit)
+    }
+    this._redoStack = []
+    this._update()
+  }
+
+  /**
+   * Restore the primary properties changed in the most recent entry to their previous values.
+   *
+   * @returns {boolean} Whether or not there was anything to undo.
+   */
+  undo () {
+    return this._replay(this._undoStack, this._redoStack, 'oldValue', 'undo')
+  }
+
+  /**
+   * Reapply the changes from the most recently undone entry.
+   *
+   * @returns {boolean} Whether or not there was anything to redo.
+   */
+  redo () {
+    return this._replay(this._redoStack, this._undoStack, 'newValue', 'redo')
+  }
+
+  _replay (fromStack, toStack, valueKey, source) {
+    if (this._propsModel._chainDepth > 0 || this._propsModel._transactionDepth > 0) {
+      throw new Error('Cannot undo or redo while a change chain or transaction is in progress')
+    }
+    if (fromStack.length === 0) {
+      return false
+    }
+    const entry = fromStack[fromStack.length - 1]
+    this._replaying = true
+    try {
+      this._propsModel._set(
+        () => {},
+        entry
+          .filter(({ propName }) => this._propsModel._props[propName])
+          .reduce((propValues, change) => {
+            propValues[change.propName] = change[valueKey]
+            return propValues
+          }, {}),
+        { source }
+      )
+    } finally {
+      this._replaying = false
+    }
+    toStack.push(fromStack.pop())
+    this._update()
+    return true
+  }
+
+  _update () {
+    const { canUndo, canRedo } = this
+    this._propsModel._set(() => {}, { canUndo, canRedo })
+    this._propsModel._emit(this._propsModel._eventName('history-changed'), { canUndo, canRedo })
+  }
+}
+
+function coalesceChanges (changes) {
+  const byProp = new Map()
+  changes.forEach(({ propName, newValue, oldValue }) => {
+    const previous = byProp.get(propName)
+    byProp.set(propName, {
+      propName,
+      oldValue: previous ? previous.oldValue : oldValue,
+      newValue
+    })
+  })
+  return Array.from(byProp.values())
+}
@@ -0,0 +1,83 @@
+/**
+ * Describe the difference between two arrays as a single splice, replacing the items between their common prefix and
+ * their common suffix. Items are compared by identity.
+ *
+ * @private
+ * @param {Array} oldList The old array. Anything else is treated as an empty array.
+ * @param {Array} newList The new array. Anything else is treated as an empty array.
+ * @returns {?splice} The splice, or `null` if the arrays have the same items.
+ */
+export function diffLists (oldList, newList) {
+  const oldItems = Array.isArray(oldList) ? oldList : []
+  const newItems = Array.isArray(newList) ? newList : []
+  const maxCommon = Math.min(oldItems.length, newItems.length)
+  let prefix = 0
+  while (prefix < maxCommon && oldItems[prefix] === newItems[prefix]) {
+    prefix++
+  }
+  let suffix = 0
+  while (
+    suffix < maxCommon - prefix &&
+    oldItems[oldItems.length - 1 - suffix] === newItems[newItems.length - 1 - suffix]
+  ) {
+    suffix++
+  }
+  const removed = oldItems.slice(prefix, oldItems.length - suffix)
+  const added = newItems.slice(prefix, newItems.length - suffix)
+  if (removed.length === 0 && added.length === 0) {
+    return null
+  }
+  const type = removed.length === 0
+    ? 'insert'
+    : added.length === 0
+      ? 'remove'
+      : removed.length === 1 && added.length === 1 ? 'update' : 'replace'
+  return { type, index: prefix, removed, added }
+}
+
+/**
+ * Determine where the item at the given index of a list ends up after the given splice is applied to the list.
+ * An updated item is considered to be the same item; a removed or replaced item is only found again if the identical
+ * item is among those added in its place.
+ *
+ * @private
+ * @param {?number} index The index of the item before the splice, or `null` if there is no item.
+ * @param {splice} splice The splice.
+ * @returns {?number} The index of the item after the splice, or `null` if it was removed.
+ */
+export function trackIndex (index, splice) {
+  if (index === null) {
+    return null
+  }
+  if (splice.type === 'move') {
+    if (index === splice.index) {
+      return splice.to
+    }
+    const indexAfterRemoval = index > splice.index ? index - 1 : index
+    return indexAfterRemoval >= splice.to ? indexAfterRemoval + 1 : indexAfterRemoval
+  }
+  const { index: start, removed, added } = splice
+  if (index < start) {
+    return index
+  }
+  if (index >= start + removed.length) {
+    return index + added.length - removed.length
+  }
+  if (splice.type === 'update') {
+    return index
+  }
+  const found = added.indexOf(removed[index - start])
+  return found < 0 ? null : start + found
+}
+
+/**
+ * Describes a change to a list property, as passed to listeners of the property's `-spliced` events. See
+ * [defineListProp()]{@link PropsModel#defineListProp}.
+ *
+ * @typedef {object} splice
+ * @property {string} type One of `'insert'`, `'remove'`, `'update'`, `'move'`, or `'replace'`.
+ * @property {number} index The index at which items were removed and added. For a move, the index the item was moved from.
+ * @property {Array} removed The items removed, starting at `index`. Empty for a move.
+ * @property {Array} added The items added, starting at `index`. Empty for a move.
+ * @property {number} [to] For a move, the index the item was moved to, i.e., its index in the resulting list.
+ */
@@ -0,0 +1,78 @@
+/**
+ * The key under which an object provides its interop observable: `Symbol.observable` if the environment (or a polyfill)
+ * defines it, otherwise the `'@@observable'` string used by libraries like RxJS in its absence.
+ *
+ * @private
+ */
+const OBSERVABLE_KEY = (typeof Symbol === 'function' && Symbol.observable) || '@@observable'
+
+/**
+ * Create a minimal observable, compatible with the [TC39 Observable](https://github.com/tc39/proposal-observable)
+ * interop protocol used by RxJS and similar libraries.
+ *
+ * @private
+ * @param {function(function(*)):function} start Invoked for each subscription with a function that delivers a value to the
+ * subscriber. It should return a function that stops delivering values.
+ * @returns {object} The observable.
+ */
+export function createObservable (start) {
+  const observable = {
+    subscribe (observerOrNext) {
+      const observer = typeof observerOrNext === 'function' ? { next: observerOrNext } : observerOrNext || {}
+      let stop = null
+      const subscription = {
+        closed: false,
+        unsubscribe () {
+          if (!subscription.closed) {
+            subscription.closed = true
+            if (stop) {
+              stop()
+            }
+          }
+        }
+      }
+      stop = start((value) => {
+        if (!subscription.closed && observer.next) {
+          observer.next(value)
+        }
+      })
+      if (subscription.closed) {
+        stop()
+      }
+      return subscription
+    },
+
+    [OBSERVABLE_KEY] () {
+      return observable
+    }
+  }
+  if (OBSERVABLE_KEY !== '@@observable') {
+    observable['@@observable'] = observable[OBSERVABLE_KEY]
+  }
+  return observable
+}
+
+/**
+ * Subscribe to anything that implements the observable interop protocol, or that simply has a `subscribe` method.
+ *
+ * @private
+ * @param {object} observable The observable.
+ * @param {{next: function(*), error: function(*), complete: function()}} observer The observer.
+ * @returns {function} A function that unsubscribes.
+ */
+export function subscribeTo (observable, observer) {
+  const source = typeof observable[OBSERVABLE_KEY] === 'function'
+    ? observable[OBSERVABLE_KEY]()
+    : typeof observable['@@observable'] === 'function' ? observable['@@observable']() : observable
+  if (!source || typeof source.subscribe !== 'function') {
+    throw new Error('Not an observable')
+  }
+  const subscription = source.subscribe(observer)
+  return () => {
+    if (typeof subscription === 'function') {
+      subscription()
+    } else if (subscription) {
+      subscription.unsubscribe()
+    }
+  }
+}
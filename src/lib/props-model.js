@@ -1,26 +1,175 @@
+/* global AbortController */
+
+import { PropsHistory } from './history'
+import { resolveCodec } from './codecs'
+import { equalsToDidChange } from './comparators'
+import { defineFromSchema } from './schema'
+import { renderGraph } from './graph'
+import { diffLists, trackIndex } from './lists'
+import { createObservable, subscribeTo } from './observable'
+import { createEventNamer, createEventTransport } from './events'
+
 /**
  * Instances of this class are used to configure and manage a set of named properties.
- * Properties can have their values set and retrieved, and they fire change events through
- * the given [EventEmitter]{@link external:EventEmitter} when the values change.
+ * Properties can have their values set and retrieved, and they fire change events when the values change,
+ * through the given [EventEmitter]{@link external:EventEmitter}, `EventTarget`, or {@link eventAdapter}, or
+ * through a built-in dispatcher if none is given.
  *
  * Each property has a unique name, defined by a string. Properties can either be _primary_ or
  * _derived_. A **primary** property is one that you have to set a value for explicitly. A **derived**
  * property is calcuated automatically from the values of other properties (either primary or derived).
- * Derived properties are registered as change-listeners to all the properties they are calculated
- * from, so that they are automatically updated when any of their dependencies change. Derived properties
- * likewise fire property change events when their value changes.
+ * The model tracks which properties each derived property is calculated from, so that derived properties
+ * are automatically updated when any of their dependencies change. Derived properties likewise fire property
+ * change events when their value changes.
+ *
+ * Updates are propagated through the dependency graph in topological order: when one or more properties are
+ * set, every derived property that (directly or transitively) depends on them is recalculated at most once,
+ * only after all of its own dependencies have been updated. Change events are only fired once all values
+ * have settled, so listeners never observe an inconsistent intermediate state.
  *
  * @extends PropsModelApi
  */
 export class PropsModel {
   /**
-   * @param {external:EventEmitter} eventEmitter The event emitter on which property change events will be
-   * emitted and listened to.
+   * @param {external:EventEmitter|EventTarget|eventAdapter} [eventEmitter] The event emitter on which property change
+   * events will be emitted and listened to. An `EventTarget` is sent a `CustomEvent` for each event, with the array of
+   * arguments an `EventEmitter` listener would receive as its `detail`. Any other event system can be used through an
+   * {@link eventAdapter}. If omitted, a built-in dispatcher is used, so listeners can only be registered through the model.
+   * @param {object} [options]
+   * @param {string|function(*, *):boolean} [options.equals='strict'] The default equality function used to determine
+   * whether or not a property has changed, for properties that aren't given their own `didChange` or `equals` option.
+   * Either a function, or the name of one of the built-in [comparators]{@link comparators}.
+   * @param {string} [options.validation='strict'] The default validation mode for properties that aren't given their
+   * own `validation` option, either `'strict'` or `'soft'`. See {@link propOptions}.
+   * @param {string|eventNamer} [options.eventNames=''] Either a prefix for the name of every event the model fires or
+   * listens to (e.g., with `'user:'`, `'user:width-changed'` and `'user:prop-chain-completed'`), or a function that
+   * names each event. Use this to share an event emitter between models, or to keep property events apart from model
+   * events like `prop-chain-completed`. See {@link eventNamer}, and [getEventName()]{@link PropsModel#getEventName}.
+   * @param {boolean} [options.definitionChangeEvents=true] Whether or not defining a property fires a change event for its
+   * initial value, changing from `undefined` (in addition to the `prop-defined` event that's always fired).
    */
-  constructor (eventEmitter) {
-    this._eventEmitter = eventEmitter
+  constructor (eventEmitter, {
+    equals = 'strict',
+    validation = 'strict',
+    eventNames = '',
+    definitionChangeEvents = true
+  } = {}) {
+    this._events = createEventTransport(eventEmitter)
+    this._eventName = createEventNamer(eventNames)
+    this._definitionChangeEvents = definitionChangeEvents
+    this._defaultDidChange = equalsToDidChange(equals)
+    this._defaultValidation = assertValidationMode(validation)
+    this._errorsPropName = null
+    this._constraints = new Map()
+    this._installedAccessors = new Map()
     this._props = {}
     this._firedProps = new Set()
+    this._chainDepth = 0
+    this._propagation = null
+    this._chainChanges = []
+    this._chainObservers = new Set()
+    this._chainCount = 0
+    this._chainId = null
+    this._chainProvenance = null
+    this._history = null
+    this._transactionDepth = 0
+    this._suspendedTransactions = new Set()
+    this._pendingWrites = new Map()
+    this._pendingSplices = new Map()
+    this._pendingProvenance = null
+    this._listSplice = null
+    this._subscriptions = new Set()
+    this._accessLevels = {}
+    this._keySubscribers = new Map()
+    this._unusedKeyProps = new Set()
+  }
+
+  /**
+   * Register a listener for the named event on the event emitter, tracking it so that it can be
+   * removed later, either through the returned disposer, through the given `AbortSignal`, or
+   * through [dispose()]{@link PropsModel#dispose}.
+   *
+   * @private
+   * @param {string} eventName The name of the event to listen to.
+   * @param {function} listener The listener to register.
+   * @param {subscriptionOptions} [options]
+   * @param {function} [onDispose] Called once the listener has been removed, however that happens.
+   * @returns {disposer} A function that removes the listener.
+   */
+  _subscribe (eventName, listener, { signal } = {}, onDispose = NOOP) {
+    if (signal && signal.aborted) {
+      onDispose()
+      return NOOP
+    }
+    let disposed = false
+    const dispose = () => {
+      if (disposed) {
+        return
+      }
+      disposed = true
+      unsubscribe()
+      this._subscriptions.delete(dispose)
+      if (signal) {
+        signal.removeEventListener('abort', dispose)
+      }
+      onDispose()
+    }
+    const unsubscribe = this._events.subscribe(eventName, listener)
+    this._subscriptions.add(dispose)
+    if (signal) {
+      signal.addEventListener('abort', dispose)
+    }
+    return dispose
+  }
+
+  /**
+   * Get the name of an event fired by this model, according to the `eventNames` option it was
+   * [constructed]{@link PropsModel} with. Use this to listen to the model's events directly on the event emitter.
+   *
+   * ```javascript
+   * eventEmitter.on(propsModel.getEventName('prop-defined'), (propName, value) => { ... })
+   * ```
+   *
+   * @param {string} type The type of event, e.g., `'changed'` or `'prop-chain-completed'`. See {@link eventNamer}.
+   * @param {string} [propName] The name of the property, for events about a single property.
+   * @returns {string} The name of the event.
+   */
+  getEventName (type, propName) {
+    return this._eventName(type, propName)
+  }
+
+  /**
+   * Emit the named event on the event emitter with the given arguments.
+   *
+   * @private
+   */
+  _emit (eventName, ...args) {
+    this._events.emit(eventName, args)
+  }
+
+  /**
+   * Determine whether or not any listeners are registered on the event emitter for the named event.
+   *
+   * @private
+   */
+  _hasListeners (eventName) {
+    return this._events.hasListeners(eventName)
+  }
+
+  /**
+   * Remove every listener this model has registered on the event emitter, i.e., all those registered through
+   * [onAny()]{@link PropsModel#onAny}, [onAnyChange()]{@link PropsModel#onAnyChange},
+   * [createChangeHandler()]{@link PropsModelApi~createChangeHandler},
+   * [onPropChainComplete()]{@link PropsModel#onPropChainComplete}, and the same methods of any
+   * API created from this model. Subscriptions to observables created with
+   * [toObservable()]{@link PropsModelApi#toObservable} stop receiving values, and bindings made with
+   * [bindFrom()]{@link PropsModelApi#bindFrom} are stopped.
+   *
+   * Derived properties and property views are updated by the model itself, not through listeners on the event
+   * emitter, so they continue to work after this.
+   */
+  dispose () {
+    Array.from(this._subscriptions).forEach((dispose) => dispose())
   }
 
   /**
@@ -33,29 +182,267 @@ export class PropsModel {
    * @param {string} propName The name of hte property which has changed.
    * @param {*} newValue The new value of the property.
    * @param {*} oldValue The previous value of the property.
+   * @param {string} [cause='set'] What caused the change, see {@link changeRecord}.
+   * @param {provenance} [provenance] Where the change came from.
    */
-  _firePropChangeEvent (propName, newValue, oldValue) {
-    this._firePropChangeEvents([[propName, [newValue, oldValue]]])
+  _firePropChangeEvent (propName, newValue, oldValue, cause, provenance) {
+    this._firePropChangeEvents([[propName, [newValue, oldValue], [], cause]], [], provenance)
   }
 
-  _firePropChangeEvents (events) {
-    const firstInChain = this._firedProps.size === 0
-    events.forEach(([propName, [newValue, oldValue]]) => {
-      this._firedProps.add(propName)
-      this._eventEmitter.emit(
-        `${propName}-changed`,
-        propName,
-        newValue,
-        oldValue
-      )
+  /**
+   * Fire the given property change events, in order. If this is not happening in response to another
+   * change event (i.e., it's the start of a change chain), then the `prop-chain-completed` event is
+   * fired once these events (and all events fired by listeners in response to them) have been fired,
+   * as long as at least one property change event was fired.
+   *
+   * Just before the chain is completed, the internal chain observers are invoked with all of the changes
+   * made in the chain; anything they change becomes part of the same chain.
+   *
+   * Each change event is fired with the given {@link provenance} as its fourth argument. After each change event, a
+   * `any-change` event is fired with a {@link changeRecord} describing the change, unless it's a change to an
+   * internal property, or nothing is listening for it.
+   *
+   * @private
+   * @param {Array<Array>} events Each event is given as `[propName, [newValue, oldValue], splices, cause]`, where
+   * `splices` is an optional array of {@link splice} records, each fired as a `-spliced` event before the change event,
+   * and `cause` is the optional cause of the change for the change record, `'set'` by default.
+   * @param {Array<string>} [invalidated] The names of lazy properties which have been invalidated; an
+   * invalidation event is fired for each after all the change events.
+   * @param {provenance} [provenance] Where the changes came from.
+   */
+  _firePropChangeEvents (events, invalidated = [], provenance = createProvenance()) {
+    this._runChain(() => {
+      const anyChangeEvent = this._eventName('any-change')
+      events.forEach(([propName, [newValue, oldValue], splices = [], cause = 'set']) => {
+        const prop = this._props[propName]
+        // Paths into child models aren't properties of this model, so they're treated like derived properties.
+        const derived = prop ? prop.derived : true
+        if (!(prop && prop.internal)) {
+          this._firedProps.add(propName)
+          this._chainChanges.push({ propName, newValue, oldValue, derived, cause })
+        }
+        splices.forEach((splice) => this._emit(this._eventName('spliced', propName), propName, splice))
+        this._emit(
+          this._eventName('changed', propName),
+          propName,
+          newValue,
+          oldValue,
+          provenance
+        )
+        if (!(prop && prop.internal) && this._hasListeners(anyChangeEvent)) {
+          this._emit(anyChangeEvent, {
+            prop: propName,
+            newValue,
+            oldValue,
+            derived,
+            cause,
+            chainId: this._chainId,
+            provenance
+          })
+        }
+      })
+      invalidated.forEach((propName) => {
+        this._emit(this._eventName('invalidated', propName), propName)
+      })
+    }, provenance)
+  }
+
+  /**
+   * Run the given function as part of a change chain, starting a new chain if one isn't already in progress. If
+   * this starts the chain, the chain observers are invoked and the chain is completed once the function returns.
+   * The `prop-chain-completed` event is fired with the names of the properties that changed in the chain, and the
+   * provenance of the changes that started the chain.
+   *
+   * @private
+   * @param {function} fn The function, which fires property change events.
+   * @param {provenance} [provenance] Where the changes came from. Only used if this starts the chain.
+   */
+  _runChain (fn, provenance = createProvenance()) {
+    if (this._chainDepth === 0) {
+      this._chainId = ++this._chainCount
+      this._chainProvenance = provenance
+    }
+    this._chainDepth++
+    let completed = false
+    try {
+      fn()
+      if (this._chainDepth === 1 && this._firedProps.size) {
+        const changes = this._chainChanges
+        this._chainChanges = []
+        this._chainObservers.forEach((observer) => observer(changes, this._chainProvenance))
+      }
+      completed = true
+    } finally {
+      this._chainDepth--
+      if (this._chainDepth === 0) {
+        // The chain's state is reset even if a listener threw, so that it isn't carried over into the next chain.
+        const chainProvenance = this._chainProvenance
+        const firedProps = Array.from(this._firedProps)
+        this._chainProvenance = null
+        this._firedProps.clear()
+        this._chainChanges = []
+        if (completed && firedProps.length) {
+          this._emit(this._eventName('prop-chain-completed'), firedProps, chainProvenance)
+        }
+        this._dropUnusedKeyProps()
+      }
+    }
+  }
+
+  /**
+   * Given a set of properties that have just been written, recalculate every derived property that
+   * depends on them, in topological order, and then fire change events for all properties that changed.
+   *
+   * A written property is considered changed if its `didChange` function says so. A derived property is only
+   * recalculated if at least one of its direct dependencies changed, and it is considered changed itself
+   * according to its own `didChange` function. Derived properties that were themselves written are not
+   * recalculated.
+   *
+   * A lazy derived property that would be recalculated is instead marked as dirty and invalidated, unless it has
+   * change listeners. An invalidated property may or may not have changed, so properties that depend on it are
+   * treated as though it had.
+   *
+   * Since the dependencies of computed properties can change as they're recalculated, reading a property which
+   * is still waiting to be processed in this propagation causes it to be processed immediately, so that every
+   * calculation sees settled values.
+   *
+   * If the validation error of any written property changed, the errors property (if one was defined with
+   * [defineErrorsProp()]{@link PropsModel#defineErrorsProp}) is updated as though it had been written too, and an
+   * `errors-changed` event is fired after the change events.
+   *
+   * The splices recorded for any written list properties are applied to the indices tracked by their item views before
+   * anything is recalculated, and are fired along with the list's change event.
+   *
+   * Every change event is fired with the given provenance. If it has neither a `source` nor `meta`, and this is
+   * happening in a change chain (i.e., a listener made the writes), the `source` and `meta` of the chain are used.
+   *
+   * @private
+   * @param {Map<string, {value: *, error: ?Error}>} writes Maps the name of each written property to its value and
+   * validation error prior to the write. The new values must already be stored in the model.
+   * @param {provenance} [provenance] Where the writes came from. By default, the written properties are the roots.
+   * @param {boolean} [quiet=false] Whether the writes are restoring values that their listeners never saw change, in
+   * which case no change events are fired for the written properties themselves, only for those recalculated.
+   */
+  _propagate (writes, provenance = createProvenance({ roots: Array.from(writes.keys()) }), quiet = false) {
+    if (
+      this._chainDepth > 0 &&
+      this._chainProvenance &&
+      typeof provenance.source === 'undefined' &&
+      typeof provenance.meta === 'undefined'
+    ) {
+      const { source, meta } = this._chainProvenance
+      provenance = createProvenance({ source, meta, roots: provenance.roots })
+    }
+    const errorsChanged = Array.from(writes).some(([propName, { error }]) => this._props[propName].error !== error)
+    if (errorsChanged && this._errorsPropName && !writes.has(this._errorsPropName)) {
+      const errorsProp = this._props[this._errorsPropName]
+      writes.set(this._errorsPropName, { value: errorsProp.value, error: null })
+      errorsProp.value = this._getErrors(() => true)
+    }
+    const splices = new Map()
+    writes.forEach((previous, propName) => {
+      if (this._pendingSplices.has(propName)) {
+        splices.set(propName, this._pendingSplices.get(propName))
+        this._pendingSplices.delete(propName)
+      }
     })
-    if (firstInChain) {
-      this._eventEmitter.emit(
-        'prop-chain-completed',
-        Array.from(this._firedProps)
-      )
-      this._firedProps.clear()
+    splices.forEach((listSplices, propName) => {
+      this._props[propName].itemTrackers.forEach((track) => listSplices.forEach(track))
+    })
+    const changed = new Set()
+    const invalidated = []
+    const events = []
+    const recordChange = (propName, oldValue) => {
+      const { value, didChange } = this._props[propName]
+      if (didChange(value, oldValue)) {
+        changed.add(propName)
+        if (quiet && writes.has(propName)) {
+          return
+        }
+        events.push([propName, [value, oldValue], splices.get(propName), writes.has(propName) ? 'set' : 'dependency'])
+      }
+    }
+    writes.forEach(({ value: oldValue }, propName) => recordChange(propName, oldValue))
+    const pending = new Set(
+      this._sortTopologically(changed).filter((propName) => !writes.has(propName))
+    )
+    const process = (propName) => {
+      pending.delete(propName)
+      const prop = this._props[propName]
+      if (!prop.dependsOn.some((dep) => changed.has(dep))) {
+        return
+      }
+      if (
+        prop.lazy &&
+        !this._hasListeners(this._eventName('changed', propName)) &&
+        !this._hasListeners(this._eventName('any-change'))
+      ) {
+        prop.dirty = true
+        changed.add(propName)
+        invalidated.push(propName)
+        return
+      }
+      // If the property is dirty, this is the value it was last calculated to have; see defineDerivedProp().
+      const oldValue = prop.value
+      prop.value = prop.calculate()
+      prop.dirty = false
+      recordChange(propName, oldValue)
+    }
+    const enclosingPropagation = this._propagation
+    this._propagation = { pending, process }
+    try {
+      while (pending.size) {
+        process(pending.values().next().value)
+      }
+    } finally {
+      this._propagation = enclosingPropagation
+    }
+    this._firePropChangeEvents(events, invalidated, provenance)
+    if (errorsChanged) {
+      this._emit(this._eventName('errors-changed'), this._getErrors(() => true))
+    }
+  }
+
+  /**
+   * Get the current value of the named property, first calculating it if it's a dirty lazy property.
+   *
+   * @private
+   * @param {string} propName The name of the property, which must exist.
+   */
+  _readValue (propName) {
+    if (this._propagation && this._propagation.pending.has(propName)) {
+      this._propagation.process(propName)
+    }
+    const prop = this._props[propName]
+    if (prop.dirty) {
+      prop.value = prop.calculate()
+      prop.dirty = false
+    }
+    return prop.value
+  }
+
+  /**
+   * Collect the given properties and all of the properties that depend on them, directly or transitively,
+   * ordered such that every property comes before all properties that depend on it.
+   *
+   * @private
+   * @param {Iterable<string>} propNames The names of the properties to start from.
+   * @param {function(string):Iterable<string>} [dependentsOf] Gets the names of the properties that depend directly on
+   * the named property. By default, those that are recalculated when it changes.
+   * @returns {Array<string>} The ordered property names.
+   */
+  _sortTopologically (propNames, dependentsOf = (propName) => this._props[propName].dependents) {
+    const visited = new Set()
+    const order = []
+    const visit = (propName) => {
+      if (!visited.has(propName)) {
+        visited.add(propName)
+        Array.from(dependentsOf(propName)).forEach(visit)
+        order.push(propName)
+      }
     }
+    Array.from(propNames).forEach(visit)
+    return order.reverse()
   }
 
   /**
@@ -67,33 +454,32 @@ export class PropsModel {
    *
    * @param {*} initialValue The value to set the property to.
    *
-   * @param {valueValidator} [valueValidator] An optional validator function that will be used whenever the property is set.
+   * @param {valueValidator|propOptions} [valueValidator] An optional validator function that will be used whenever the property is set.
    * The default allows all values. **Note** that this is _not_ called for the initial value, it's up to you to ensure that
-   * the initial value is valid.
+   * the initial value is valid. Alternatively, this can be a {@link propOptions} object, in which case the `didChange`
+   * argument is ignored.
    *
-   * @param {didChange} [didChange] An optional function that is called anytime the property value is set, to determine
+   * @param {didChange|string} [didChange] An optional function that is called anytime the property value is set, to determine
    * whether or not the old value and new value should be considered a change. A change event for the property is fired if and only
-   * if the function returns a truthy value. The default uses `newValue !== oldValue`. Note that the property value is changed
-   * regardless of what this function returns, it is only used to determine if the event should be fired.
+   * if the function returns a truthy value. The default uses the model's default comparator, which is `newValue !== oldValue` unless
+   * otherwise configured. Note that the property value is changed regardless of what this function returns, it is only used to
+   * determine if the event should be fired. Alternatively, this can be the name of one of the built-in [comparators]{@link comparators},
+   * in which case the value is considered changed if the new and old values are _not_ equal according to that comparator.
    */
   defineProp (
     propName,
     initialValue,
-    valueValidator = NOOP,
-    didChange = defaultDidChange
+    valueValidator,
+    didChange
   ) {
     if (this._props[propName]) {
       throw new Error(`Property already defined: ${propName}`)
     }
-    this._props[propName] = {
-      value: initialValue,
-      derived: false,
-      valueValidator,
-      didChange
-    }
-    if (didChange(initialValue, undefined)) {
-      this._firePropChangeEvent(propName, initialValue, undefined)
-    }
+    const options = toOptions(valueValidator, 'valueValidator', { didChange })
+    this._addProp(propName, {
+      ...options,
+      value: initialValue
+    })
     return this
   }
 
@@ -110,38 +496,201 @@ export class PropsModel {
    * named properties, each passed as a separate arg, in the order specified in `dependsOn`.
    * @param {*} [initialValue] An optional initial value to use, _in place of_ calculating the value. This will
    * be used unless it has a `typeof` equal to `'undefined'`.
-   * @param {didChange} [didChange] An optional function to determine if a new value for the property should be
+   * @param {didChange|propOptions} [didChange] An optional function to determine if a new value for the property should be
    * considered a change from its previous value. See the same parameter on [`defineProp`]{@link PropsModel#defineProp}.
+   * Alternatively, a {@link propOptions} object, which can additionally specify the `lazy` option.
+   *
+   * A **lazy** derived property is not calculated until its value is needed, i.e., until it is read through
+   * [get()]{@link PropsModelApi#get}, [getAll()]{@link PropsModel#getAll}, [toJSON()]{@link PropsModelApi#toJSON}, an
+   * accessor, a utilizer, or by another derived property. When one of its dependencies changes, it is simply marked as
+   * dirty, and the cached value is recalculated the next time it is needed. Since it isn't known at that point whether
+   * or not its value has actually changed, an `${propName}-invalidated` event is fired in place of a change event, invoked
+   * with just the property name. However, if there are listeners for the property's change event at that time, it is
+   * recalculated immediately, and a change event is fired as usual if it changed.
+   *
+   * Note that a lazy property that is dirty when this happens (i.e., it wasn't read since it was last invalidated) has no
+   * known old value: its change event reports the value it was last calculated to have (`undefined` if it never was) as
+   * the old value, and it's that value the new one is compared to, to determine whether or not it changed.
    */
   defineDerivedProp (
     propName,
     dependsOn = [],
     _calculateValue,
     initialValue,
-    didChange = defaultDidChange
+    didChange
   ) {
     if (this._props[propName]) {
       throw new Error(`Property already defined: ${propName}`)
     }
+    const { lazy = false, ...options } = toOptions(didChange, 'didChange')
     const calculateValue = this.createUtilizer(dependsOn, _calculateValue)
+    const dirty = lazy && typeof initialValue === 'undefined'
     const value =
-      typeof initialValue === 'undefined' ? calculateValue() : initialValue
-    this._props[propName] = {
+      typeof initialValue === 'undefined' && !dirty ? calculateValue() : initialValue
+    this._addProp(propName, {
+      ...options,
       value,
       derived: true,
-      valueValidator: () => {},
-      didChange
+      dependsOn,
+      calculate: calculateValue,
+      lazy,
+      dirty
+    })
+    return this
+  }
+
+  /**
+   * Defines a derived property whose value is calculated asynchronously. Along with the property itself, two companion
+   * derived properties are defined to track the state of the calculation:
+   *
+   * * `${propName}Pending`: `true` while a calculation is in progress, `false` otherwise.
+   * * `${propName}Error`: the error from the most recent calculation if it failed, `null` otherwise. It's serialized by
+   *   [toJSON()]{@link PropsModelApi#toJSON} as an object with the error's `name` and `message`.
+   *
+   * A calculation is started immediately, and again anytime one of the properties it depends on changes. Starting a
+   * new calculation supersedes any calculation still in progress: the `AbortSignal` passed to the superseded calculation
+   * is aborted, and its result (or error) is ignored. When the current calculation completes, the value (or error) and the
+   * pending state are all updated in a single batch, firing ordinary change events. If it fails, the value of the property
+   * is left as it was. If the value can't be stored, e.g., because it fails the property's `valueValidator`, or a change
+   * listener throws, the error is recorded in `${propName}Error` just like a failed calculation's.
+   *
+   * @param {string} propName The name of the property to define. An error will be thrown if it, or either of its companion
+   * properties, already exists.
+   * @param {Array<string>} dependsOn The list of property names that this derived property depends on.
+   * @param {function(...*):Promise<*>} calculateValue An asynchronous function that calculates the value of this property. It is
+   * invoked with the contemporary values of the properties it depends on, each passed as a separate arg in the order specified in
+   * `dependsOn`, followed by an `AbortSignal` which is aborted if the calculation is superseded (if `AbortController` is not
+   * available in your environment, `undefined` is passed instead).
+   * @param {propOptions} [options] Options for the property, plus the following.
+   * @param {*} [options.initialValue=null] The value of the property until the first calculation completes.
+   */
+  defineAsyncDerivedProp (propName, dependsOn = [], calculateValue, { initialValue = null, ...options } = {}) {
+    const pendingName = `${propName}Pending`
+    const errorName = `${propName}Error`
+    ;[propName, pendingName, errorName].forEach((name) => {
+      if (this._props[name]) {
+        throw new Error(`Property already defined: ${name}`)
+      }
+    })
+    const utilizer = this.createUtilizer(dependsOn, calculateValue)
+    let currentRun = null
+    const cancelRun = () => {
+      if (currentRun && currentRun.controller) {
+        currentRun.controller.abort()
+      }
+      currentRun = null
     }
-    this._onAny(
-      () => {},
+    const startRun = () => {
+      cancelRun()
+      const run = {
+        controller: typeof AbortController === 'function' ? new AbortController() : null
+      }
+      currentRun = run
+      new Promise((resolve) => resolve(utilizer(run.controller ? run.controller.signal : undefined)))
+        .then(
+          (value) => ({ [propName]: value, [pendingName]: false, [errorName]: null }),
+          (error) => ({ [pendingName]: false, [errorName]: error })
+        )
+        .then((propValues) => {
+          if (currentRun === run) {
+            currentRun = null
+            this._storeAsyncResult(propValues, pendingName, errorName)
+          }
+        })
+      return true
+    }
+    this._addProp(propName, {
+      ...options,
+      value: initialValue,
+      derived: true,
+      kind: 'async',
+      companions: [errorName, pendingName],
+      dispose: cancelRun
+    })
+    this._addProp(errorName, { value: null, derived: true, serialize: serializeError, owner: propName })
+    this._addProp(pendingName, {
+      value: startRun(),
+      derived: true,
       dependsOn,
-      () => {
-        this.set(propName, calculateValue())
+      calculate: startRun,
+      owner: propName
+    })
+    return this
+  }
+
+  /**
+   * Store the outcome of an async derived property's calculation. Nothing is waiting on the calculation to report an error
+   * to, so an error storing it is recorded in the property's error companion instead.
+   *
+   * @private
+   * @param {object} propValues The values to set, as for [set()]{@link PropsModelApi#set(2)}.
+   * @param {string} pendingName The name of the pending companion property.
+   * @param {string} errorName The name of the error companion property.
+   */
+  _storeAsyncResult (propValues, pendingName, errorName) {
+    try {
+      this._set(NOOP, propValues)
+    } catch (error) {
+      try {
+        this._set(NOOP, { [pendingName]: false, [errorName]: error })
+      } catch (listenerError) {
+        // A listener threw again on the error itself; there's nowhere left to report it.
       }
-    )
-    if (didChange(value, undefined)) {
-      this._firePropChangeEvent(propName, value, undefined)
     }
+  }
+
+  /**
+   * Defines a derived property whose dependencies are tracked automatically. Instead of being given a list of properties
+   * to depend on, the calculator function is given a `get` function to read property values with, and the property depends
+   * on exactly the properties that were read with it during its most recent calculation. This means the dependencies can
+   * change from one calculation to the next, for instance if the calculator reads different properties in different
+   * conditional branches; the property is only recalculated when one of the properties it actually used changes.
+   *
+   * Computed properties are propagated just like other derived properties, so they can depend on, and be depended on by,
+   * primary properties, derived properties, property views, and other computed properties.
+   *
+   * @param {string} propName The name of the property to define. An error will be thrown if the property already exists.
+   * @param {function(function(string):*):*} calculateValue The function to calculate the value of the property. It is invoked
+   * with a single argument, a function which takes a property name and returns the current value of that property, recording
+   * it as a dependency. It's an error to read an unknown property, the property being calculated, or a property which depends
+   * on the property being calculated.
+   * @param {didChange|propOptions} [didChange] See the same parameter on [`defineDerivedProp`]{@link PropsModel#defineDerivedProp}.
+   */
+  defineComputed (propName, calculateValue, didChange) {
+    if (this._props[propName]) {
+      throw new Error(`Property already defined: ${propName}`)
+    }
+    const { lazy = false, ...options } = toOptions(didChange, 'didChange')
+    const track = () => {
+      const dependsOn = new Set()
+      const value = calculateValue((name) => {
+        if (name === propName) {
+          throw new Error(`Computed property '${propName}' cannot depend on itself`)
+        }
+        if (!this._hasPath(name)) {
+          throw new Error(`No such property '${name}'`)
+        }
+        dependsOn.add(this._rootOf(name))
+        return this._readPath(name)
+      })
+      return [value, dependsOn]
+    }
+    const calculate = () => {
+      const [value, dependsOn] = track()
+      this._setDependencies(propName, dependsOn)
+      return value
+    }
+    const [value, dependsOn] = lazy ? [undefined, []] : track()
+    this._addProp(propName, {
+      ...options,
+      value,
+      derived: true,
+      kind: 'computed',
+      dependsOn,
+      calculate,
+      lazy,
+      dirty: lazy
+    })
     return this
   }
 
@@ -151,10 +700,10 @@ export class PropsModel {
    * and set. Unlike a normal derived property, you can also set the value of the view property and it will be reflected
    * in the base property.
    *
-   * In otherwords, you're creating a circular dependency between the view prop and the base prop. We ensure this doesn't
-   * lead (directly) to an infinite loop by supressing the update of the view prop in response to consequent
-   * updating of the base prop. However, that means that view and base prop might get out of sync; you need to make sure
-   * your reduceBaseValue function produces a value for the base property that would yield the same view value.
+   * Setting the view property is handled as setting the base property to the value produced by `reduceBaseValue`; the
+   * view property is then recalculated from the new base value like any other derived property. You need to make sure
+   * your reduceBaseValue function produces a value for the base property that would yield the same view value, otherwise
+   * the value of the view will not be the value it was set to.
    *
    * @param {string} viewName The name of the view-prop to define
    * @param {string} viewOf The name of a property that this is a view of
@@ -175,15 +724,15 @@ export class PropsModel {
    *   the action of feedback from height or width to the base property is controlled by the lockAspectRatio property. However,
    *   changing the lockAspectRatio property would not imply any necessary change to any of the dimensions, so those will not
    *   be triggered by it.
-   * @param {function(V, V):boolean} didChange An optional function used to determine if the view prop should be considered
-   *   to be changed.
+   * @param {function(V, V):boolean|propOptions} didChange An optional function used to determine if the view prop should be considered
+   *   to be changed, or a {@link propOptions} object.
    */
   definePropView (
     viewName,
     viewOf,
     calculateViewValue,
     reduceBaseValue,
-    didChange = defaultDidChange
+    didChange
   ) {
     if (this._props[viewName]) {
       throw new Error(`Property already defined: ${viewName}`)
@@ -193,35 +742,16 @@ export class PropsModel {
     })
     const calculateValue = this.createUtilizer([viewOf], calculateViewValue)
     const value = calculateValue()
-    this._props[viewName] = {
+    this._addProp(viewName, {
+      ...toOptions(didChange, 'didChange'),
       value,
       derived: true,
-      valueValidator: () => {},
-      didChange
-    }
-    let triggered = false
-    this._onAny(
-      () => {},
-      [viewOf],
-      () => {
-        if (!triggered) {
-          this.set(viewName, calculateValue())
-        }
-      }
-    )
-    this._onAny(
-      () => {},
-      [viewName],
-      (ignore, newViewValue, oldViewValue) => {
-        const newViewOfValue = reduceBaseValue(newViewValue, this.get(viewOf))
-        triggered = true
-        this.set(viewOf, newViewOfValue)
-        triggered = false
-      }
-    )
-    if (didChange(value, undefined)) {
-      this._firePropChangeEvent(viewName, value, undefined)
-    }
+      kind: 'view',
+      dependsOn: [viewOf],
+      calculate: calculateValue,
+      viewOf,
+      reduceBaseValue
+    })
     return this
   }
 
@@ -244,121 +774,1441 @@ export class PropsModel {
       viewName,
       viewOf,
       (baseValue) => baseValue[propertyName],
-      (viewValue, baseValue) => ({ ...baseValue, [propertyName]: viewValue })
+      (viewValue, baseValue) => ({ ...baseValue, [propertyName]: viewValue }),
+      didChange
     )
   }
 
   /**
-   * Set one or more properties. You won't typically call this directly, you would use it through
-   * the [set()]{@link PropsModelApi#set} method.
+   * Define a view of a value nested arbitrarily deep in the base property, addressed by a path of object keys and array
+   * indices. For instance, a path of `['settings', 'colors', 2, 'hex']` views `base.settings.colors[2].hex`.
    *
-   * @private
-   * @param {propValidator} propValidator Called to verify write access to each property attempting
-   * to be set.
-   * @param {...*} args There are two signatures available: provide the property name and
-   * value as two arguments, or provide an object whose property names and property values
-   * describe what properties you want to set, and how. See {@link PropsModelApi#set(1)}
-   * and {@link PropsModelApi#set(2)}.
+   * If any node along the path is missing (`null` or `undefined`), the value of the view is `undefined`. Setting the view
+   * produces a new base value with the new value at the path, copying only the objects and arrays along the path, so that
+   * everything else is shared with the old base value. What happens if a node along the path is missing when the view is
+   * set depends on the `missing` option; a node that isn't an object or array, such as a number, is treated as missing
+   * too, since there's nothing to set the next key on.
+   *
+   * @param {string} viewName The name of the view-prop to define
+   * @param {string} viewOf The name of a property that this is a view of
+   * @param {Array<string|number>} path The keys and indices leading to the viewed value. Numbers index into arrays.
+   * @param {didChange|propOptions} [didChange] An optional function used to determine if the view prop should be considered
+   * to be changed, or a {@link propOptions} object, which can additionally specify the `missing` option.
+   * @param {string} [didChange.missing='create'] When setting the view: with `'create'`, missing nodes along the path are
+   * created, as an array if the next key is a number, otherwise as an object; with `'throw'`, an error is thrown instead.
    */
-  _set (propValidator, ...args) {
-    if (args.length === 1) {
-      Object.keys(args[0]).forEach((propName) => {
-        if (!this._props[propName]) {
-          throw new Error(`No such property '${propName}'`)
-        }
-      })
-      Object.keys(args[0]).forEach(propValidator)
-      Object.entries(args[0]).forEach(([propName, value]) => {
-        this._props[propName].valueValidator(value)
-      })
-      const oldValues = []
-      Object.entries(args[0]).forEach(([propName, value]) => {
-        oldValues.push(this._props[propName].value)
-        this._props[propName].value = value
-      })
-      const changeEvents = Object.entries(args[0])
-        .map(([propName, value], idx) => [propName, [value, oldValues[idx]]])
-        .filter(([propName, [newValue, oldValue]]) =>
-          this._props[propName].didChange(newValue, oldValue)
-        )
-      this._firePropChangeEvents(changeEvents)
-    } else {
-      const [propName, value] = args
-      if (!this._props[propName]) {
-        throw new Error(`No such property '${propName}'`)
-      }
-      propValidator(propName)
-      this._props[propName].valueValidator(value)
-      const oldValue = this._props[propName].value
-      this._props[propName].value = value
-      if (this._props[propName].didChange(value, oldValue)) {
-        this._firePropChangeEvent(propName, value, oldValue)
-      }
+  defineViewOfPath (viewName, viewOf, [...path], didChange) {
+    const { missing = 'create', ...options } = toOptions(didChange, 'didChange')
+    if (missing !== 'create' && missing !== 'throw') {
+      throw new Error(`Unknown missing node policy '${missing}'`)
     }
+    return this.definePropView(
+      viewName,
+      viewOf,
+      (baseValue) => getIn(baseValue, path),
+      (viewValue, baseValue) => setIn(baseValue, path, viewValue, (index, node) => {
+        if (missing === 'throw') {
+          const found = node === null || typeof node === 'undefined' ? 'nothing' : 'no object or array'
+          throw new Error(`Cannot set '${viewName}', there is ${found} at ${formatPath(viewOf, path.slice(0, index))}`)
+        }
+        return typeof path[index] === 'number' ? [] : {}
+      }),
+      options
+    )
   }
 
   /**
-   * Get the value of the named property. You won't typically call this directly, you would use it through
-   * the [set()]{@link PropsModelApi#get} method.
+   * Define a primary property holding an array, which can be modified item by item through the operations of
+   * [getList()]{@link PropsModelApi#getList}, as well as set as a whole like any other property.
    *
-   * @private
-   * @param {propValidator} propValidator Called to verify read access to the named property.
-   * @param {string} propName The name of the property to get the value of.
+   * Every change to the list is described by a {@link splice}, which is fired as a `${propName}-spliced` event, with the
+   * property name and the splice as arguments, just before the list's change event. List operations are described exactly,
+   * setting the whole list is described as a single splice covering the items that differ between the old and new lists.
+   * If several changes are propagated together, such as in a [transaction]{@link PropsModel#transaction}, a splice event is
+   * fired for each of them, in order.
    *
-   * @returns {*} The value of the requested property
-   * @throws {Error} If the named property does not exist.
-   * @throws {*} Anything thrown by the `propValidator` when invoked with the given `propName`.
+   * @param {string} propName The name of the property. An Error will be thrown if the property is already defined.
+   * @param {Array} [initialItems=[]] The initial items of the list.
+   * @param {valueValidator|propOptions} [valueValidator] See [defineProp()]{@link PropsModel#defineProp}. The validator is
+   * given the entire list that would result from each change.
+   * @param {didChange|string} [didChange] See [defineProp()]{@link PropsModel#defineProp}.
    */
-  _get (propValidator, propName) {
-    propValidator(propName)
-    if (!this._props[propName]) {
-      throw new Error(`No such property '${propName}'`)
+  defineListProp (propName, initialItems = [], valueValidator, didChange) {
+    if (this._props[propName]) {
+      throw new Error(`Property already defined: ${propName}`)
     }
-    return this._props[propName].value
+    this._addProp(propName, {
+      ...toOptions(valueValidator, 'valueValidator', { didChange }),
+      value: [...initialItems],
+      kind: 'list',
+      itemTrackers: new Set()
+    })
+    return this
   }
 
   /**
-   * Return an JSON-serializable object that represents properties tracked by this model and their
-   * values. You won't typically call this directly, you would use it through
-   * the [toJSON()]{@link PropsModelApi#toJSON} method.
+   * Define a view of a single item of a list property (see [defineListProp()]{@link PropsModel#defineListProp}). Unlike
+   * [defineViewOfArrayProp()]{@link PropsModel#defineViewOfArrayProp}, the view follows its item as the list changes: if
+   * items are inserted or removed before it, or it's moved, the view tracks the item to its new index. Updating the item in
+   * place keeps it the same item. If the item is removed from the list (and not put back in the same change), the value of
+   * the view becomes `undefined`, and it can no longer be set.
    *
-   * The name of each property known to this model is checked against the given `propChecker`; if
-   * it returns a truthy value, the property will be included in the returned "JSON" object, otherwise
-   * it wil not be.
+   * @param {string} viewName The name of the view-prop to define
+   * @param {string} listName The name of the list property
+   * @param {number} index The current index of the item to view.
+   * @param {didChange|propOptions} [didChange] See [definePropView()]{@link PropsModel#definePropView}.
+   * @throws {Error} If the named property is not a list property.
+   */
+  defineViewOfListItem (viewName, listName, index, didChange) {
+    if (!this._props[listName] || !this._props[listName].itemTrackers) {
+      throw new Error(`Property '${listName}' is not a list property`)
+    }
+    let trackedIndex = index
+    const tracker = (splice) => {
+      trackedIndex = trackIndex(trackedIndex, splice)
+    }
+    // The trackers only see the splices of a transaction when it's committed, so the ones still pending are applied
+    // here, to find the item in the list as it currently is.
+    const currentIndex = () => (this._pendingSplices.get(listName) || []).reduce(trackIndex, trackedIndex)
+    this.definePropView(
+      viewName,
+      listName,
+      (list) => {
+        const itemIndex = currentIndex()
+        return itemIndex === null ? undefined : list[itemIndex]
+      },
+      (item, list) => {
+        const itemIndex = currentIndex()
+        if (itemIndex === null) {
+          throw new Error(`Cannot set '${viewName}', its item has been removed from '${listName}'`)
+        }
+        const copy = list.slice()
+        copy[itemIndex] = item
+        return copy
+      },
+      didChange
+    )
+    const { itemTrackers } = this._props[listName]
+    itemTrackers.add(tracker)
+    this._props[viewName].dispose = () => itemTrackers.delete(tracker)
+    return this
+  }
+
+  /**
+   * Define a primary property holding a `Map` from string keys to values, whose entries can be set and deleted individually
+   * with [setKey()]{@link PropsModelApi#setKey} and [deleteKey()]{@link PropsModelApi#deleteKey}. Keys are always converted
+   * to strings. Each change produces a new `Map`, so the old value is never modified.
    *
-   * Note that property values are passed through `JSON.stringify` and then `JSON.parse` before being
-   * attached to the returned object. This may or may not lead to a different instance than what
-   * is kept in the model, depending on how the object handles JSONification, which could leak a
-   * reference to a mutable shared object, possibly allowing write unintended modifications without
-   * access restriction or event firing.
+   * The value for a single key can be addressed as `${propName}[${key}]`, e.g., `'users[42]'`, wherever properties are read,
+   * including as a dependency of derived and computed properties. Such a dependency only causes a recalculation when the
+   * value for that key changes (according to the model's default comparator), not when other keys change. Listeners for a
+   * single key can be registered with [onKey()]{@link PropsModelApi#onKey}.
    *
-   * @private
-   * @param {propChecker} propChecker Called to determine which properties should be included
-   * in the returned object.
-   * @returns {*} An object representing a JSONable account of the permitted properties and their values.
+   * The map is serialized by [toJSON()]{@link PropsModelApi#toJSON} as an object with a property for each entry (after
+   * serializing each value with the `serializeValue` option, if given), and restored from such an object.
+   *
+   * @param {string} propName The name of the property. An Error will be thrown if the property is already defined.
+   * @param {Map|object|Iterable<Array>} [initialEntries] The initial entries, as a `Map`, an object, or an iterable of
+   * `[key, value]` pairs.
+   * @param {valueValidator|propOptions} [valueValidator] See [defineProp()]{@link PropsModel#defineProp}. The validator is
+   * given the entire `Map` that would result from each change. As options, this can additionally specify `serializeValue`
+   * and `deserializeValue` functions for the values in the map.
+   * @param {didChange|string} [didChange] See [defineProp()]{@link PropsModel#defineProp}.
    */
-  _toJSON (propChecker) {
-    return Object.entries(this._props)
-      .filter(([propName]) => propChecker(propName))
-      .reduce((o, [propName, { value }]) => {
-        o[propName] = JSON.parse(JSON.stringify(value))
+  defineMapProp (propName, initialEntries = [], valueValidator, didChange) {
+    if (this._props[propName]) {
+      throw new Error(`Property already defined: ${propName}`)
+    }
+    const {
+      serializeValue = IDENTITY,
+      deserializeValue = IDENTITY,
+      ...options
+    } = toOptions(valueValidator, 'valueValidator', { didChange })
+    this._addProp(propName, {
+      serialize: (map) => Array.from(map).reduce((o, [key, value]) => {
+        o[key] = serializeValue(value)
         return o
-      }, {})
+      }, {}),
+      deserialize: (object) => toStringKeyedMap(object, deserializeValue),
+      ...options,
+      value: toStringKeyedMap(initialEntries),
+      kind: 'map'
+    })
+    return this
   }
 
-  _getAll (propChecker, propNames = Object.keys(this._props)) {
-    return propNames.filter(propChecker).reduce((o, propName) => {
-      const prop = this._props[propName]
+  /**
+   * Compose another model into this one as a property. The value of the property is an object holding the values of all
+   * of the child model's public properties (those whose names don't begin with an underscore), and it's updated whenever
+   * any of the child model's properties change. It can't be set directly, set the properties of the child model instead.
+   *
+   * The properties of the child model can be addressed from this model by path, joining the name of the child model
+   * property and the name of the property within the child model with a dot: for instance, `get('address.city')`. Paths
+   * can be used wherever properties are read, including as dependencies of derived and computed properties, which are
+   * recalculated whenever anything in the child model changes. Child models can be nested, giving longer paths.
+   *
+   * Each change chain in the child model is bubbled up to this model as a single change chain: a change event is fired on
+   * this model for each property that changed in the child, named by its path (e.g., `address.city-changed`, with
+   * `'address.city'` as the property name), followed by a change event for the child model property itself.
+   *
+   * The child model property is serialized by [toJSON()]{@link PropsModelApi#toJSON} as the child model's own JSON, and
+   * [restore()]{@link PropsModel#restore} restores such a snapshot into the child model.
+   *
+   * Access to the child model's properties through an [API]{@link PropsModel#createApi} is checked by path, so with
+   * the [standard public API]{@link PropsModel#getStandardPublicApi}, a path is only public if each of its segments is:
+   * neither `_address.city` nor `address._secret` can be read, and private child properties are left out of the
+   * snapshots it takes.
+   *
+   * @param {string} propName The name of the property to define. An error will be thrown if the property already exists.
+   * @param {PropsModel} childModel The model to compose. It continues to work on its own, firing events on its own event
+   * emitter.
+   * @param {didChange|propOptions} [didChange] See the same parameter on [`defineDerivedProp`]{@link PropsModel#defineDerivedProp}.
+   */
+  defineChildModel (propName, childModel, didChange) {
+    if (this._props[propName]) {
+      throw new Error(`Property already defined: ${propName}`)
+    }
+    const observer = (changes, { source, meta }) => {
+      const provenance = createProvenance({ source, meta, roots: [propName] })
+      this._runChain(() => {
+        this._firePropChangeEvents(changes.map(({ propName: childPropName, newValue, oldValue }) => [
+          `${propName}.${childPropName}`,
+          [newValue, oldValue],
+          [],
+          'child'
+        ]), [], provenance)
+        this._commitWrites(new Map([[propName, childModel._getAll(propNameIsPublic)]]), undefined, provenance)
+      }, provenance)
+    }
+    childModel._chainObservers.add(observer)
+    this._addProp(propName, {
+      ...toOptions(didChange, 'didChange'),
+      value: childModel._getAll(propNameIsPublic),
+      derived: true,
+      kind: 'child',
+      childModel,
+      dispose: () => childModel._chainObservers.delete(observer)
+    })
+    return this
+  }
+
+  /**
+   * Define a derived property whose value is an object mapping the name of each property that currently holds an
+   * invalid value to its validation error, as returned by [getErrors()]{@link PropsModelApi#getErrors}. Only
+   * properties using `'soft'` validation (see {@link propOptions}) can hold invalid values. The property is updated
+   * along with the properties whose validity changed, so it can be bound to like any other property.
+   *
+   * Note that naming the property `errors` is best avoided, since its change events would be indistinguishable from
+   * the model's `errors-changed` event.
+   *
+   * @param {string} [propName='validationErrors'] The name of the property to define.
+   * @throws {Error} If the property is already defined, or if an errors property has already been defined.
+   */
+  defineErrorsProp (propName = 'validationErrors') {
+    if (this._errorsPropName) {
+      throw new Error(`Errors property already defined: ${this._errorsPropName}`)
+    }
+    this.defineDerivedProp(propName, [], () => this._getErrors(() => true), undefined, { equals: 'shallow' })
+    this._errorsPropName = propName
+    return this
+  }
+
+  /**
+   * Define a constraint that must hold between the values of several properties, such as one value not exceeding
+   * another. Whenever any of the named properties are set, the constraint's predicate is invoked with the values the
+   * properties _would_ have once the write is complete, before anything is changed. If it returns a falsey value, the
+   * write is rejected. Every constraint affected by a write is checked, and if any of them fail, an error listing all of
+   * the failures is thrown and no properties are changed. In particular, setting several properties in a single call to
+   * [set()]{@link PropsModelApi#set(2)} is checked against their combined new values, so a batch can move from one valid
+   * state to another even if it couldn't be done one property at a time.
+   *
+   * Likewise, properties set in a [transaction]{@link PropsModel#transaction} aren't checked as they're set, but against
+   * the values they have when the transaction is committed. If any constraints fail then, the whole transaction is
+   * rolled back, and the error is thrown from `transaction()` (or its promise is rejected with it).
+   *
+   * The thrown error has a `violations` property, holding an array with an object for each failed constraint, with the
+   * `constraint` name, the `propNames` it constrains, and the `message`.
+   *
+   * Constraints can only be placed on primary properties, since the values of derived properties aren't known until after
+   * the write. Writes to property views are checked against the resulting value of their base property. **Note** that the
+   * current values are not checked when the constraint is defined.
+   *
+   * @param {string} constraintName A unique name for the constraint, used to identify it in errors.
+   * @param {Array<string>} propNames The names of the properties the constraint applies to.
+   * @param {function(...*):boolean} predicate Invoked with the proposed values of the named properties, in the same order,
+   * it should return a truthy value if and only if the values are acceptable.
+   * @param {string|function(...*):string} [message] A description of the failure, or a function that is invoked with the
+   * same arguments as the predicate to produce one. The default just names the constraint.
+   * @throws {Error} If a constraint with the same name already exists, or if any of the named properties don't exist or are
+   * derived properties.
+   */
+  defineConstraint (constraintName, [...propNames], predicate, message = `Constraint '${constraintName}' failed`) {
+    if (this._constraints.has(constraintName)) {
+      throw new Error(`Constraint already defined: ${constraintName}`)
+    }
+    propNames.forEach((propName) => {
+      if (!this._props[propName]) {
+        throw new Error(`Cannot constrain unknown property '${propName}'`)
+      }
+      if (this._props[propName].derived) {
+        throw new Error(`Cannot constrain derived property '${propName}'`)
+      }
+    })
+    this._constraints.set(constraintName, {
+      propNames,
+      predicate,
+      message: typeof message === 'function' ? message : () => message
+    })
+    return this
+  }
+
+  /**
+   * Remove a property from the model. Any accessors for it that were added with
+   * [installAccessors()]{@link PropsModelApi#installAccessors} are removed from their targets, any
+   * [constraints]{@link PropsModel#defineConstraint} on it are removed, and a `prop-removed` event is fired with the name
+   * of the property. Listeners registered for the property's change events are left in place, but will no longer be invoked.
+   *
+   * A property can't be removed while other properties (derived properties or property views) depend on it, unless the
+   * `cascade` option is given, in which case all of the properties that depend on it, directly or transitively, are removed
+   * as well; dependents are removed (and their `prop-removed` events fired) before the properties they depend on.
+   *
+   * Removing an asynchronous derived property (see [defineAsyncDerivedProp()]{@link PropsModel#defineAsyncDerivedProp}) also
+   * removes its companion properties, and cancels any calculation in progress. The companion properties can't be removed on
+   * their own. Nor can the `canUndo` and `canRedo` properties defined by [enableHistory()]{@link PropsModel#enableHistory},
+   * since the history keeps them up to date.
+   *
+   * @param {string} propName The name of the property to remove.
+   * @param {object} [options]
+   * @param {boolean} [options.cascade=false] Whether or not to remove properties that depend on the named property, instead
+   * of refusing to remove it.
+   * @throws {Error} If the property does not exist, is a companion property or one of the history's properties, or has
+   * dependents and `cascade` isn't given; or if called while a transaction is in progress.
+   */
+  undefineProp (propName, { cascade = false } = {}) {
+    const prop = this._props[propName]
+    if (!prop) {
+      throw new Error(`No such property '${propName}'`)
+    }
+    if (prop.owner) {
+      throw new Error(`Cannot undefine property '${propName}' separately from '${prop.owner}'`)
+    }
+    if (this._history && (propName === 'canUndo' || propName === 'canRedo')) {
+      throw new Error(`Cannot undefine property '${propName}' while history is enabled`)
+    }
+    if (this._transactionDepth > 0) {
+      throw new Error('Cannot undefine properties while a transaction is in progress')
+    }
+    const withCompanions = (name) => {
+      const owner = this._props[name].owner || name
+      return [owner, ...this._props[owner].companions]
+    }
+    const group = withCompanions(propName)
+    let removing = []
+    let expanded = this._sortTopologically(group)
+    while (expanded.length > removing.length) {
+      removing = expanded
+      expanded = this._sortTopologically(new Set([].concat(...removing.map(withCompanions))))
+    }
+    const dependents = removing.filter((name) => !group.includes(name) && !this._props[name].internal)
+    if (dependents.length && !cascade) {
+      throw new Error(
+        `Cannot undefine property '${propName}' while other properties depend on it: ${dependents.map((name) => `'${name}'`).join(', ')}`
+      )
+    }
+    const removed = removing.slice().reverse()
+    const internalNames = removed.filter((name) => this._props[name].internal)
+    const remainingDeps = new Set()
+    let errorsChanged = false
+    removed.forEach((name) => {
+      const { dependsOn, dispose, error } = this._props[name]
+      dependsOn.forEach((dep) => this._props[dep] && this._props[dep].dependents.delete(name))
+      dependsOn.forEach((dep) => remainingDeps.add(dep))
+      dispose()
+      delete this._props[name]
+      delete this._accessLevels[name]
+      errorsChanged = errorsChanged || Boolean(error)
+      if (name === this._errorsPropName) {
+        this._errorsPropName = null
+      }
+      ;(this._installedAccessors.get(name) || []).forEach(([target, funcName, func]) => {
+        if (target[funcName] === func) {
+          delete target[funcName]
+        }
+      })
+      this._installedAccessors.delete(name)
+      this._constraints.forEach(({ propNames }, constraintName) => {
+        if (propNames.includes(name)) {
+          this._constraints.delete(constraintName)
+        }
+      })
+    })
+    remainingDeps.forEach((dep) => this._releaseKeyProp(dep))
+    removed
+      .filter((name) => !internalNames.includes(name))
+      .forEach((name) => this._emit(this._eventName('prop-removed'), name))
+    if (errorsChanged) {
+      if (this._errorsPropName) {
+        this._set(NOOP, this._errorsPropName, this._getErrors(() => true))
+      }
+      this._emit(this._eventName('errors-changed'), this._getErrors(() => true))
+    }
+  }
+
+  /**
+   * Set one or more properties. You won't typically call this directly, you would use it through
+   * the [set()]{@link PropsModelApi#set} method.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify write access to each property attempting
+   * to be set.
+   * @param {...*} args There are two signatures available: provide the property name and
+   * value as two arguments, or provide an object whose property names and property values
+   * describe what properties you want to set, and how, optionally followed by {@link setOptions} in either case.
+   * See {@link PropsModelApi#set(1)} and {@link PropsModelApi#set(2)}.
+   */
+  _set (propValidator, ...args) {
+    const [givenValues, { source, meta } = {}] = typeof args[0] === 'string'
+      ? [{ [args[0]]: args[1] }, args[2]]
+      : args
+    const propValues = this._resolveKeyWrites(givenValues)
+    Object.keys(propValues).forEach((propName) => {
+      if (!this._props[propName]) {
+        throw new Error(`No such property '${propName}'`)
+      }
+    })
+    Object.keys(propValues).forEach(propValidator)
+    const newValues = new Map()
+    Object.entries(propValues).forEach(([propName, value]) => {
+      this._resolveWrite(propName, value, newValues)
+    })
+    const errors = new Map()
+    newValues.forEach((value, propName) => {
+      const prop = this._props[propName]
+      if (prop.validation === 'soft') {
+        try {
+          prop.valueValidator(value)
+        } catch (error) {
+          errors.set(propName, error)
+        }
+      } else {
+        prop.valueValidator(value)
+      }
+    })
+    if (this._transactionDepth === 0) {
+      this._checkConstraints(newValues)
+    }
+    this._commitWrites(newValues, errors, createProvenance({ source, meta, roots: Object.keys(propValues) }))
+  }
+
+  /**
+   * Turn the writes to keys of map properties among the given values, such as `'users[42]'`, into writes of the whole
+   * maps, just as [setKey()]{@link PropsModelApi#setKey} does. Several keys of the same map can be written together,
+   * along with the map itself, in which case the keys are set in the given map.
+   *
+   * @private
+   * @param {object} propValues Maps the names of properties, or keys of map properties, to the values to set them to.
+   * @returns {object} Maps the names of properties to the values to set them to.
+   */
+  _resolveKeyWrites (propValues) {
+    return Object.entries(propValues).reduce((resolved, [propName, value]) => {
+      const keyPath = this._splitKeyPath(propName)
+      if (keyPath) {
+        const [mapName, key] = keyPath
+        const map = Object.prototype.hasOwnProperty.call(resolved, mapName)
+          ? toStringKeyedMap(resolved[mapName])
+          : new Map(this._readValue(mapName))
+        resolved[mapName] = map.set(key, value)
+      } else {
+        resolved[propName] = value
+      }
+      return resolved
+    }, {})
+  }
+
+  /**
+   * Store the given, already validated, values, and then propagate them; or, if a transaction is open, defer
+   * propagation until it's committed. Writing a property that a [suspended]{@link PropsModel#_suspendTransaction}
+   * transaction has written takes it over from that transaction.
+   *
+   * @private
+   * @param {Map<string, *>} newValues Maps the names of the properties being written to their new values.
+   * @param {Map<string, *>} [errors] Maps the names of properties with soft validation to the validation errors of
+   * their new values, if they're invalid.
+   * @param {provenance} [provenance] Where the writes came from. By default, the written properties are the roots.
+   */
+  _commitWrites (newValues, errors = new Map(), provenance = createProvenance({ roots: Array.from(newValues.keys()) })) {
+    const writes = new Map()
+    newValues.forEach((value, propName) => {
+      const prop = this._props[propName]
+      const error = errors.get(propName) || null
+      const takenOver = this._takeOverSuspendedWrite(propName)
+      if (prop.itemTrackers) {
+        const splice = this._listSplice && this._listSplice.propName === propName
+          ? this._listSplice.splice
+          : diffLists(prop.value, value)
+        if (splice) {
+          this._pendingSplices.set(propName, [...(this._pendingSplices.get(propName) || []), splice])
+        }
+      }
+      writes.set(propName, takenOver || { value: prop.value, error: prop.error })
+      prop.value = value
+      prop.error = isSameError(error, prop.error) ? prop.error : error
+      prop.dirty = false
+    })
+    if (this._transactionDepth > 0) {
+      writes.forEach((previous, propName) => {
+        if (!this._pendingWrites.has(propName)) {
+          this._pendingWrites.set(propName, previous)
+        }
+      })
+      this._pendingProvenance = mergeProvenance(this._pendingProvenance, provenance)
+    } else {
+      this._propagate(writes, provenance)
+    }
+  }
+
+  /**
+   * Check every constraint that applies to any of the given writes against the values the properties would have after
+   * the writes. See [defineConstraint()]{@link PropsModel#defineConstraint}.
+   *
+   * @private
+   * @param {Map<string, *>} newValues Maps the names of the properties being written to their new values.
+   * @throws {Error} If any of the constraints fail, listing all of the failures.
+   */
+  _checkConstraints (newValues) {
+    const violations = []
+    this._constraints.forEach(({ propNames, predicate, message }, constraintName) => {
+      if (!propNames.some((propName) => newValues.has(propName))) {
+        return
+      }
+      const values = propNames.map((propName) =>
+        newValues.has(propName) ? newValues.get(propName) : this._readValue(propName)
+      )
+      if (!predicate(...values)) {
+        violations.push({ constraint: constraintName, propNames, message: message(...values) })
+      }
+    })
+    if (violations.length) {
+      const error = new Error(`Failed constraints: ${violations.map(({ message }) => message).join('; ')}`)
+      error.violations = violations
+      throw error
+    }
+  }
+
+  /**
+   * Get the current values of the named properties.
+   *
+   * @private
+   * @param {Iterable<string>} propNames The names of the properties, which must exist.
+   * @returns {Map<string, *>} Maps the name of each property to its value.
+   */
+  _currentValues (propNames) {
+    return new Map(Array.from(propNames, (propName) => [propName, this._readValue(propName)]))
+  }
+
+  /**
+   * Capture the state needed to roll back a transaction: the writes (and list splices, and provenance) that are
+   * already pending from any enclosing transaction, and the current values (and validation errors) of the properties
+   * they wrote, since those are the only properties written in the transaction that it can't find the previous
+   * values of in its own pending writes.
+   *
+   * @private
+   */
+  _createSavepoint () {
+    return {
+      values: Array.from(this._pendingWrites.keys(), (propName) => {
+        const { value, error } = this._props[propName]
+        return [propName, { value, error }]
+      }),
+      pendingWrites: new Map(this._pendingWrites),
+      pendingSplices: new Map(this._pendingSplices),
+      pendingProvenance: this._pendingProvenance
+    }
+  }
+
+  /**
+   * Close the innermost open transaction, restoring the properties written in it to their values at the given
+   * savepoint. No events are fired.
+   *
+   * @private
+   */
+  _rollbackTransaction ({ values, pendingWrites, pendingSplices, pendingProvenance }) {
+    this._transactionDepth--
+    const restored = new Map(values)
+    this._restoreWrites(Array.from(this._pendingWrites, ([propName, previous]) => [propName, restored.get(propName) || previous]))
+    this._pendingWrites = pendingWrites
+    this._pendingSplices = pendingSplices
+    this._pendingProvenance = pendingProvenance
+  }
+
+  /**
+   * Restore the values (and validation errors) of the properties written in a transaction that's being rolled back,
+   * skipping any that have since been removed. Lazy properties that depend on them are marked as dirty, in case they
+   * were calculated from the written values.
+   *
+   * @private
+   * @param {Array<Array>} previousValues Each is given as `[propName, { value, error }]`.
+   */
+  _restoreWrites (previousValues) {
+    const propNames = previousValues.map(([propName]) => propName).filter((propName) => this._props[propName])
+    previousValues.forEach(([propName, { value, error }]) => {
+      const prop = this._props[propName]
+      if (prop) {
+        prop.value = value
+        prop.error = error
+      }
+    })
+    this._sortTopologically(propNames).forEach((propName) => {
+      const prop = this._props[propName]
+      if (prop.lazy) {
+        prop.dirty = true
+      }
+    })
+  }
+
+  /**
+   * Close the innermost open transaction. If it was the outermost transaction, the constraints on the properties
+   * written during the transaction are checked, and then all of the writes are propagated, as though they were made in
+   * a single batch. If any of the constraints fail, the transaction is rolled back instead.
+   *
+   * @private
+   * @param {object} savepoint The savepoint the transaction was opened with.
+   * @throws {Error} If any of the constraints fail.
+   */
+  _commitTransaction (savepoint) {
+    if (this._transactionDepth === 1) {
+      try {
+        this._checkConstraints(this._currentValues(this._pendingWrites.keys()))
+      } catch (error) {
+        this._rollbackTransaction(savepoint)
+        throw error
+      }
+    }
+    this._transactionDepth--
+    if (this._transactionDepth === 0) {
+      const writes = this._pendingWrites
+      const provenance = this._pendingProvenance || createProvenance()
+      this._pendingWrites = new Map()
+      this._pendingProvenance = null
+      this._propagate(writes, provenance)
+    }
+  }
+
+  /**
+   * Run the given function as a transaction. See [transaction()]{@link PropsModel#transaction}.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify write access to each property set through the transaction's
+   * `set()` method.
+   */
+  _transaction (propValidator, fn, { source, meta } = {}) {
+    const savepoint = this._createSavepoint()
+    this._transactionDepth++
+    this._pendingProvenance = mergeProvenance(this._pendingProvenance, createProvenance({ source, meta }))
+    let suspended = null
+    const transaction = {
+      set: (...args) => suspended
+        ? this._resumeTransaction(suspended, () => this._set(propValidator, ...args))
+        : this._set(propValidator, ...args)
+    }
+    let result
+    try {
+      result = fn(transaction)
+    } catch (error) {
+      this._rollbackTransaction(savepoint)
+      throw error
+    }
+    if (result && typeof result.then === 'function') {
+      suspended = this._suspendTransaction(savepoint)
+      return Promise.resolve(result).then(
+        (value) => {
+          this._suspendedTransactions.delete(suspended)
+          this._commitSuspendedTransaction(suspended)
+          return value
+        },
+        (error) => {
+          this._suspendedTransactions.delete(suspended)
+          this._rollbackSuspendedTransaction(suspended)
+          throw error
+        }
+      )
+    }
+    this._commitTransaction(savepoint)
+    return result
+  }
+
+  /**
+   * Close the innermost open transaction, whose function has returned a promise, keeping the writes made in it (and
+   * their list splices, and provenance) aside until the promise settles. This means properties set anywhere else in
+   * the meantime are propagated as usual, rather than being made part of the transaction.
+   *
+   * Writes to properties that were already pending from an enclosing transaction are left with that transaction.
+   *
+   * @private
+   * @param {object} savepoint The savepoint the transaction was opened with.
+   * @returns {object} The suspended transaction.
+   */
+  _suspendTransaction ({ pendingWrites, pendingSplices, pendingProvenance }) {
+    const suspended = {
+      pendingWrites: new Map(),
+      pendingSplices: new Map(),
+      pendingProvenance: this._pendingProvenance
+    }
+    this._pendingWrites.forEach((previous, propName) => {
+      if (!pendingWrites.has(propName)) {
+        suspended.pendingWrites.set(propName, previous)
+        if (this._pendingSplices.has(propName)) {
+          suspended.pendingSplices.set(propName, this._pendingSplices.get(propName))
+        }
+      }
+    })
+    this._transactionDepth--
+    this._pendingWrites = pendingWrites
+    this._pendingSplices = pendingSplices
+    this._pendingProvenance = pendingProvenance
+    this._suspendedTransactions.add(suspended)
+    return suspended
+  }
+
+  /**
+   * Run the given function, which sets properties, as part of the given suspended transaction, whatever else is
+   * going on at the time.
+   *
+   * @private
+   * @param {object} suspended The suspended transaction.
+   * @param {function} fn The function.
+   */
+  _resumeTransaction (suspended, fn) {
+    const { _transactionDepth, _pendingWrites, _pendingSplices, _pendingProvenance } = this
+    this._suspendedTransactions.delete(suspended)
+    this._transactionDepth = 1
+    this._pendingWrites = suspended.pendingWrites
+    this._pendingSplices = suspended.pendingSplices
+    this._pendingProvenance = suspended.pendingProvenance
+    try {
+      return fn()
+    } finally {
+      suspended.pendingProvenance = this._pendingProvenance
+      this._transactionDepth = _transactionDepth
+      this._pendingWrites = _pendingWrites
+      this._pendingSplices = _pendingSplices
+      this._pendingProvenance = _pendingProvenance
+      this._suspendedTransactions.add(suspended)
+    }
+  }
+
+  /**
+   * Propagate the writes of a suspended transaction whose promise has resolved, skipping any properties that have
+   * since been removed, once the constraints on them have been checked. If any of the constraints fail, the
+   * transaction is rolled back instead.
+   *
+   * @private
+   * @param {object} suspended The suspended transaction.
+   * @throws {Error} If any of the constraints fail.
+   */
+  _commitSuspendedTransaction (suspended) {
+    const { pendingWrites, pendingSplices, pendingProvenance } = suspended
+    const writes = new Map(Array.from(pendingWrites).filter(([propName]) => this._props[propName]))
+    try {
+      this._checkConstraints(this._currentValues(writes.keys()))
+    } catch (error) {
+      this._rollbackSuspendedTransaction(suspended)
+      throw error
+    }
+    writes.forEach((previous, propName) => {
+      if (pendingSplices.has(propName)) {
+        this._pendingSplices.set(propName, pendingSplices.get(propName))
+      }
+    })
+    this._propagate(writes, pendingProvenance || createProvenance())
+  }
+
+  /**
+   * Restore the properties written in a suspended transaction whose promise was rejected. Derived properties may have
+   * been recalculated from the written values since the transaction was suspended, by changes propagated from
+   * elsewhere, so the restored values are propagated too, without firing change events for the restored properties
+   * themselves.
+   *
+   * @private
+   * @param {object} suspended The suspended transaction.
+   */
+  _rollbackSuspendedTransaction ({ pendingWrites }) {
+    const writes = new Map()
+    pendingWrites.forEach(({ error }, propName) => {
+      if (this._props[propName]) {
+        writes.set(propName, { value: this._props[propName].value, error })
+      }
+    })
+    this._restoreWrites(Array.from(pendingWrites))
+    this._propagate(writes, createProvenance({ roots: Array.from(writes.keys()) }), true)
+  }
+
+  /**
+   * Take the pending write of the named property away from whichever suspended transaction has it, if any, because the
+   * property is being set from elsewhere. Any list splices pending with the write are moved ahead of the new write's.
+   *
+   * @private
+   * @param {string} propName The name of the property being set.
+   * @returns {?object} The value (and validation error) the property had before the suspended transaction wrote it,
+   * which is what its listeners last saw, or `null` if no suspended transaction has written it.
+   */
+  _takeOverSuspendedWrite (propName) {
+    let previous = null
+    this._suspendedTransactions.forEach(({ pendingWrites, pendingSplices }) => {
+      if (pendingWrites.has(propName)) {
+        previous = pendingWrites.get(propName)
+        pendingWrites.delete(propName)
+        if (pendingSplices.has(propName)) {
+          this._pendingSplices.set(propName, [...pendingSplices.get(propName), ...(this._pendingSplices.get(propName) || [])])
+          pendingSplices.delete(propName)
+        }
+      }
+    })
+    return previous
+  }
+
+  /**
+   * Determine what actually needs to be written in order to set the named property to the given value, and
+   * add it to the given map. For most properties, this is just the property itself, but writing to a property view
+   * is resolved to a write of its base property (which may itself be a view), once the view's `valueValidator` has
+   * accepted the value.
+   *
+   * @private
+   * @param {string} propName The name of the property being set.
+   * @param {*} value The value it's being set to.
+   * @param {Map<string, *>} newValues The writes resolved so far, mapping property names to new values. Writes
+   * to views are reduced against the base values in here, if present, so that multiple views of the same base
+   * can be written together.
+   */
+  _resolveWrite (propName, value, newValues) {
+    const prop = this._props[propName]
+    if (prop.childModel) {
+      throw new Error(`Cannot set child model property '${propName}', set the properties of the child model instead`)
+    }
+    if (prop.viewOf) {
+      prop.valueValidator(value)
+      const baseValue = newValues.has(prop.viewOf)
+        ? newValues.get(prop.viewOf)
+        : this._readValue(prop.viewOf)
+      this._resolveWrite(prop.viewOf, prop.reduceBaseValue(value, baseValue), newValues)
+    } else {
+      newValues.set(propName, value)
+    }
+  }
+
+  /**
+   * Replace the dependencies of the named property, updating the dependents of the old and new dependencies.
+   *
+   * @private
+   * @param {string} propName The name of the property.
+   * @param {Iterable<string>} dependsOn The names of the properties it now depends on.
+   * @throws {Error} If the new dependencies would create a cycle.
+   */
+  _setDependencies (propName, dependsOn) {
+    const prop = this._props[propName]
+    const newDependsOn = Array.from(dependsOn)
+    if (newDependsOn.length === prop.dependsOn.length && newDependsOn.every((dep) => prop.dependsOn.includes(dep))) {
+      return
+    }
+    const dependents = this._sortTopologically([propName])
+    const cyclicDep = newDependsOn.find((dep) => dependents.includes(dep))
+    if (cyclicDep) {
+      throw new Error(`Circular dependency between '${propName}' and '${cyclicDep}'`)
+    }
+    const oldDependsOn = prop.dependsOn
+    oldDependsOn.forEach((dep) => this._props[dep].dependents.delete(propName))
+    prop.dependsOn = newDependsOn
+    newDependsOn.forEach((dep) => this._props[dep].dependents.add(propName))
+    oldDependsOn.forEach((dep) => this._releaseKeyProp(dep))
+  }
+
+  /**
+   * Create a record for a new property and add it to the model, registering it as a dependent of each of
+   * the properties it depends on. A `prop-defined` event is fired with the property's name and initial value
+   * (`undefined` for a lazy property that hasn't been calculated yet). Then, unless the model was created with the
+   * `definitionChangeEvents` option turned off, a change event is fired for the initial value, changing
+   * from `undefined`, unless its `didChange` function says otherwise. Neither is fired for internal properties.
+   *
+   * The property's `didChange` function is taken from the `didChange` option if given (either a function, or the
+   * name of a [comparator]{@link comparators}), otherwise from the `equals` option if given, otherwise the model's
+   * default is used. Likewise, the model's default validation mode is used if the `validation` option isn't given.
+   *
+   * @private
+   * @param {string} propName The name of the property.
+   * @param {object} spec The properties of the record, as accepted by `createPropRecord`, plus the `equals` option.
+   */
+  _addProp (propName, { didChange, equals, validation = this._defaultValidation, ...spec }) {
+    const prop = createPropRecord({
+      ...spec,
+      dependsOn: new Set(Array.from(spec.dependsOn || [], (dep) => this._rootOf(dep))),
+      validation: assertValidationMode(validation),
+      didChange: typeof didChange === 'function'
+        ? didChange
+        : typeof didChange === 'string'
+          ? equalsToDidChange(didChange)
+          : typeof equals !== 'undefined'
+            ? equalsToDidChange(equals)
+            : this._defaultDidChange
+    })
+    this._props[propName] = prop
+    prop.dependsOn.forEach((dep) => this._props[dep].dependents.add(propName))
+    if (prop.internal) {
+      return
+    }
+    this._emit(this._eventName('prop-defined'), propName, prop.dirty ? undefined : prop.value)
+    if (this._definitionChangeEvents && !prop.dirty && prop.didChange(prop.value, undefined)) {
+      this._firePropChangeEvent(propName, prop.value, undefined, 'define', createProvenance({ roots: [propName] }))
+    }
+  }
+
+  /**
+   * Get the value of the named property. You won't typically call this directly, you would use it through
+   * the [set()]{@link PropsModelApi#get} method.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify read access to the named property.
+   * @param {string} propName The name of the property to get the value of.
+   *
+   * @returns {*} The value of the requested property
+   * @throws {Error} If the named property does not exist.
+   * @throws {*} Anything thrown by the `propValidator` when invoked with the given `propName`.
+   */
+  _get (propValidator, propName) {
+    propValidator(propName)
+    if (!this._hasPath(propName)) {
+      throw new Error(`No such property '${propName}'`)
+    }
+    return this._readPath(propName)
+  }
+
+  /**
+   * If the given name is a path into a child model (see [defineChildModel()]{@link PropsModel#defineChildModel}), split it
+   * into the name of the child model property and the rest of the path.
+   *
+   * @private
+   * @param {string} path The name, such as `'address.city'`.
+   * @returns {?Array} The child model, the rest of the path, and the name of the child model property; or `null` if
+   * the name isn't a path into a child model.
+   */
+  _splitChildPath (path) {
+    const index = path.indexOf('.')
+    const prop = index > 0 && this._props[path.slice(0, index)]
+    return prop && prop.childModel ? [prop.childModel, path.slice(index + 1), path.slice(0, index)] : null
+  }
+
+  /**
+   * Determine whether the given name is the name of a property of this model, or a path to a property of a child model.
+   *
+   * @private
+   */
+  _hasPath (path) {
+    if (this._props[path] || this._splitKeyPath(path)) {
+      return true
+    }
+    const childPath = this._splitChildPath(path)
+    return Boolean(childPath) && childPath[0]._hasPath(childPath[1])
+  }
+
+  /**
+   * If the given name addresses a key of a map property, such as `'users[42]'`, split it into the name of the map property
+   * and the key.
+   *
+   * @private
+   * @param {string} path The name.
+   * @returns {?Array<string>} The name of the map property and the key; or `null` if the name doesn't address a key of a
+   * map property.
+   */
+  _splitKeyPath (path) {
+    const match = /^([^[]+)\[(.*)\]$/.exec(path)
+    const mapProp = match && this._props[match[1]]
+    return mapProp && mapProp.kind === 'map' ? [match[1], match[2]] : null
+  }
+
+  /**
+   * If the given name addresses a key of a map property, such as `'users[42]'`, and the property for it doesn't already exist,
+   * define it. These are internal property views of the map property, which aren't listed, and don't fire change events
+   * when they're defined. They're only defined for keys that properties depend on or [onKey()]{@link PropsModelApi#onKey}
+   * listeners are registered for, and they're removed again once there are none left
+   * (see [_releaseKeyProp()]{@link PropsModel#_releaseKeyProp}).
+   *
+   * @private
+   * @param {string} path The name.
+   * @returns {boolean} Whether or not the name addresses a key of a map property.
+   */
+  _defineKeyProp (path) {
+    const keyPath = this._splitKeyPath(path)
+    if (!keyPath) {
+      return false
+    }
+    if (this._props[path]) {
+      return true
+    }
+    const [mapName, key] = keyPath
+    const calculate = () => this._readValue(mapName).get(key)
+    this._addProp(path, {
+      value: calculate(),
+      derived: true,
+      kind: 'key',
+      dependsOn: [mapName],
+      calculate,
+      viewOf: mapName,
+      reduceBaseValue: (value, map) => new Map(map).set(key, value),
+      internal: true
+    })
+    return true
+  }
+
+  /**
+   * Get the map property with the given name, after checking access to it.
+   *
+   * @private
+   */
+  _requireMap (propValidator, propName) {
+    const prop = this._requireProp(propValidator, propName)
+    if (prop.kind !== 'map') {
+      throw new Error(`Property '${propName}' is not a map property`)
+    }
+    return prop
+  }
+
+  _getKey (propValidator, propName, key) {
+    this._requireMap(propValidator, propName)
+    return this._readValue(propName).get(String(key))
+  }
+
+  _setKey (propValidator, propName, key, value) {
+    this._requireMap(NOOP, propName)
+    this._set(propValidator, propName, new Map(this._readValue(propName)).set(String(key), value))
+  }
+
+  _deleteKey (propValidator, propName, key) {
+    this._requireMap(NOOP, propName)
+    const map = new Map(this._readValue(propName))
+    if (map.delete(String(key))) {
+      this._set(propValidator, propName, map)
+      return true
+    }
+    return false
+  }
+
+  _onKey (propValidator, propFilter, propName, key, handler, options) {
+    this._requireMap(propValidator, propName)
+    return this._subscribeToKey(`${propName}[${key}]`, filterListenerProvenance(handler, propFilter), options)
+  }
+
+  /**
+   * Register a listener for the change events of a key of a map property, such as `'users[42]'`, defining the property
+   * for the key for as long as it's needed.
+   *
+   * @private
+   * @param {string} path The name of the key's property.
+   * @param {function(string, *, *, provenance)} listener The listener.
+   * @param {subscriptionOptions} [options]
+   * @returns {disposer} A function that removes the listener.
+   */
+  _subscribeToKey (path, listener, options) {
+    this._defineKeyProp(path)
+    this._keySubscribers.set(path, (this._keySubscribers.get(path) || 0) + 1)
+    return this._subscribe(this._eventName('changed', path), listener, options, () => {
+      const count = this._keySubscribers.get(path) - 1
+      if (count) {
+        this._keySubscribers.set(path, count)
+      } else {
+        this._keySubscribers.delete(path)
+      }
+      this._releaseKeyProp(path)
+    })
+  }
+
+  /**
+   * Note that the named property may no longer be needed. If it's the property for a key of a map property, and no
+   * properties depend on it and no [onKey()]{@link PropsModelApi#onKey} listeners are registered for it, it's removed;
+   * once the current change chain is complete, if there is one, so that it's still there while its changes are fired.
+   *
+   * @private
+   * @param {string} propName The name of the property.
+   */
+  _releaseKeyProp (propName) {
+    this._unusedKeyProps.add(propName)
+    if (this._chainDepth === 0 && !this._propagation) {
+      this._dropUnusedKeyProps()
+    }
+  }
+
+  /**
+   * Remove the key properties noted by [_releaseKeyProp()]{@link PropsModel#_releaseKeyProp} that are still unused.
+   *
+   * @private
+   */
+  _dropUnusedKeyProps () {
+    this._unusedKeyProps.forEach((propName) => {
+      const prop = this._props[propName]
+      if (prop && prop.kind === 'key' && !prop.dependents.size && !this._keySubscribers.has(propName)) {
+        prop.dependsOn.forEach((dep) => this._props[dep].dependents.delete(propName))
+        delete this._props[propName]
+      }
+    })
+    this._unusedKeyProps.clear()
+  }
+
+  /**
+   * Get the value of the named property, or the property of a child model at the given path, which must exist.
+   *
+   * @private
+   */
+  _readPath (path) {
+    if (this._props[path]) {
+      return this._readValue(path)
+    }
+    const keyPath = this._splitKeyPath(path)
+    if (keyPath) {
+      return this._readValue(keyPath[0]).get(keyPath[1])
+    }
+    const [childModel, rest] = this._splitChildPath(path)
+    return childModel._readPath(rest)
+  }
+
+  /**
+   * Get the name of the property of this model that the given name or path refers to, or is inside of, to depend on. The
+   * property for a key of a map property is defined if it doesn't exist yet.
+   *
+   * @private
+   */
+  _rootOf (path) {
+    return this._props[path] || this._defineKeyProp(path) ? path : this._splitChildPath(path)[2]
+  }
+
+  /**
+   * Determine whether or not the named property currently holds a valid value. A property with `'strict'`
+   * validation always does, since invalid values are never stored.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify read access to the named property.
+   * @param {string} propName The name of the property.
+   * @returns {boolean} `false` if the last value set for the property was rejected by its {@link valueValidator}.
+   * @throws {Error} If the named property does not exist.
+   */
+  _isValid (propValidator, propName) {
+    return !this._requireProp(propValidator, propName).error
+  }
+
+  /**
+   * Collect the validation errors of all invalid properties that pass the given checker.
+   *
+   * @private
+   * @param {propChecker} propChecker Called to determine which properties should be included.
+   * @returns {Object<string, *>} Maps the name of each invalid property to the error thrown by its {@link valueValidator}.
+   */
+  _getErrors (propChecker) {
+    return Object.entries(this._props)
+      .filter(([propName, { error }]) => error && propChecker(propName))
+      .reduce((o, [propName, { error }]) => {
+        o[propName] = error
+        return o
+      }, {})
+  }
+
+  /**
+   * Return an JSON-serializable object that represents properties tracked by this model and their
+   * values. You won't typically call this directly, you would use it through
+   * the [toJSON()]{@link PropsModelApi#toJSON} method.
+   *
+   * The name of each property known to this model is checked against the given `propChecker`; if
+   * it returns a truthy value, the property will be included in the returned "JSON" object, otherwise
+   * it wil not be.
+   *
+   * Each value is first passed through the property's `serialize` function, if it has one (see {@link propOptions}).
+   * A value that has no JSON representation, such as `undefined`, is included as `null`.
+   * The value of a [child model property]{@link PropsModel#defineChildModel} is the child model's own JSON, including
+   * only those of its properties whose paths (e.g., `address.city`) pass the `propChecker`.
+   * Note that property values are passed through `JSON.stringify` and then `JSON.parse` before being
+   * attached to the returned object. This may or may not lead to a different instance than what
+   * is kept in the model, depending on how the object handles JSONification, which could leak a
+   * reference to a mutable shared object, possibly allowing write unintended modifications without
+   * access restriction or event firing.
+   *
+   * @private
+   * @param {propChecker} propChecker Called to determine which properties should be included
+   * in the returned object.
+   * @returns {*} An object representing a JSONable account of the permitted properties and their values.
+   */
+  _toJSON (propChecker) {
+    return Object.entries(this._props)
+      .filter(([propName, { internal }]) => !internal && propChecker(propName))
+      .reduce((o, [propName, { serialize, childModel }]) => {
+        o[propName] = childModel
+          ? childModel._toJSON((childPropName) => propChecker(`${propName}.${childPropName}`))
+          : toJSONValue(serialize(this._readValue(propName)))
+        return o
+      }, {})
+  }
+
+  /**
+   * Load the values of primary properties from a snapshot, such as one produced by [toJSON()]{@link PropsModelApi#toJSON}.
+   * You won't typically call this directly, you would use it through the [restore()]{@link PropsModel#restore} method.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify write access to each property being restored, including the
+   * properties of child models, by path (e.g., `address.city`).
+   * @param {object} snapshot Maps property names to the values to restore.
+   * @param {object} [options]
+   * @param {boolean} [options.strict=true] See [restore()]{@link PropsModel#restore}.
+   * @param {function} [restoreRest] Called within the same transaction once this model and its child models have been
+   * restored, so that the snapshots of any models restored after this one are rolled back along with it.
+   */
+  _restore (propValidator, snapshot, { strict = true } = {}, restoreRest = NOOP) {
+    const problems = []
+    const propValues = {}
+    const childSnapshots = []
+    Object.entries(snapshot).forEach(([propName, value]) => {
+      const prop = this._props[propName]
+      if (!prop) {
+        problems.push(`unknown property '${propName}'`)
+      } else if (prop.childModel) {
+        // Access to the child model's properties is checked by path, just like reading them.
+        const childValidator = (childPropName) => propValidator(`${propName}.${childPropName}`)
+        Object.keys(value).forEach(childValidator)
+        childSnapshots.push([prop.childModel, childValidator, value])
+      } else if (prop.derived) {
+        problems.push(`derived property '${propName}'`)
+      } else {
+        propValues[propName] = prop.deserialize(value)
+      }
+    })
+    if (strict && problems.length) {
+      throw new Error(`Cannot restore snapshot with ${problems.join(', ')}`)
+    }
+    // Each child model is restored in a transaction nested in this one, so that nothing is changed in any of the models
+    // unless all of them can be restored.
+    const restoreChildren = childSnapshots.reduceRight(
+      (restoreNext, [childModel, childValidator, childSnapshot]) => () =>
+        childModel._restore(childValidator, childSnapshot, { strict }, restoreNext),
+      restoreRest
+    )
+    this.transaction(() => {
+      this._set(propValidator, propValues)
+      restoreChildren()
+    })
+  }
+
+  _getAll (propChecker, propNames = this._getPropNames(() => true)) {
+    return propNames.filter(propChecker).reduce((o, propName) => {
+      const prop = this._props[propName]
       if (!prop) {
         throw new Error(`No such property '${propName}'`)
       }
-      o[propName] = this._props[propName].value
-      return o
-    }, {})
+      o[propName] = this._readValue(propName)
+      return o
+    }, {})
+  }
+
+  _getPropNames (propChecker) {
+    return Object.keys(this._props).filter((propName) => !this._props[propName].internal && propChecker(propName))
+  }
+
+  /**
+   * Get the names of the properties the named property depends on. See [getDependencies()]{@link PropsModelApi#getDependencies}.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify read access to the named property.
+   * @param {propChecker} propChecker Called to determine which dependencies are included.
+   */
+  _getDependencies (propValidator, propChecker, propName, { transitive = false } = {}) {
+    this._requireProp(propValidator, propName)
+    const dependsOn = this._dependenciesOf(propName)
+    if (!transitive) {
+      return dependsOn.filter(propChecker)
+    }
+    const visited = new Set()
+    const order = []
+    const visit = (name) => {
+      if (!visited.has(name)) {
+        visited.add(name)
+        this._dependenciesOf(name).forEach(visit)
+        order.push(name)
+      }
+    }
+    dependsOn.forEach(visit)
+    return order.filter(propChecker)
+  }
+
+  /**
+   * Get the names of the properties that depend on the named property. See [getDependents()]{@link PropsModelApi#getDependents}.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify read access to the named property.
+   * @param {propChecker} propChecker Called to determine which dependents are included.
+   */
+  _getDependents (propValidator, propChecker, propName, { transitive = false } = {}) {
+    this._requireProp(propValidator, propName)
+    const names = transitive
+      ? this._sortTopologically([propName], (name) => this._dependentsOf(name)).filter((name) => name !== propName)
+      : this._dependentsOf(propName)
+    return names.filter(propChecker)
+  }
+
+  /**
+   * Get the names of the properties the named property depends on, as reported by introspection. An
+   * [asynchronous derived property]{@link PropsModel#defineAsyncDerivedProp} is recalculated by its pending companion,
+   * so it's reported as depending on whatever its companions depend on.
+   *
+   * @private
+   * @param {string} propName The name of the property.
+   * @returns {Array<string>} The names of the properties it depends on.
+   */
+  _dependenciesOf (propName) {
+    const { dependsOn, companions } = this._props[propName]
+    const names = companions.reduce((all, companion) => all.concat(this._props[companion].dependsOn), dependsOn)
+    return Array.from(new Set(names))
+  }
+
+  /**
+   * Get the names of the properties that depend directly on the named property, as reported by introspection. This is the
+   * inverse of {@link PropsModel#_dependenciesOf}, so the owner of a companion that depends on the property is included
+   * along with the companion.
+   *
+   * @private
+   * @param {string} propName The name of the property.
+   * @returns {Array<string>} The names of the properties that depend on it.
+   */
+  _dependentsOf (propName) {
+    const names = new Set()
+    this._props[propName].dependents.forEach((dependent) => {
+      const { owner } = this._props[dependent]
+      if (owner) {
+        names.add(owner)
+      }
+      names.add(dependent)
+    })
+    return Array.from(names)
   }
 
-  _getPropNames (propChecker) {
-    return Object.keys(this._props).filter(propChecker)
+  /**
+   * Describe the named property. See [getPropInfo()]{@link PropsModelApi#getPropInfo}.
+   *
+   * @private
+   * @param {propValidator} readValidator Called to verify read access to the named property.
+   * @param {propValidator} writeValidator Used to determine whether or not there is write access to the named property.
+   */
+  _getPropInfo (readValidator, writeValidator, propName) {
+    const prop = this._requireProp(readValidator, propName)
+    let writable = true
+    try {
+      writeValidator(propName)
+    } catch (error) {
+      writable = false
+    }
+    return {
+      name: propName,
+      kind: prop.kind,
+      derived: prop.derived,
+      dependsOn: this._dependenciesOf(propName),
+      viewOf: prop.viewOf,
+      lazy: prop.lazy,
+      hasValidator: prop.valueValidator !== NOOP,
+      validation: prop.validation,
+      access: writable ? 'readwrite' : 'readonly'
+    }
+  }
+
+  /**
+   * Render the dependency graph of the properties that pass the given checker. See [toGraph()]{@link PropsModelApi#toGraph}.
+   *
+   * @private
+   * @param {propChecker} propChecker Called to determine which properties are included.
+   */
+  _toGraph (propChecker, { format = 'dot' } = {}) {
+    const nodes = Object.entries(this._props)
+      .filter(([propName, { internal }]) => !internal && propChecker(propName))
+      .map(([name, { kind }]) => ({ name, kind, dependsOn: this._dependenciesOf(name) }))
+    return renderGraph(nodes, format)
+  }
+
+  /**
+   * Get the record for the named property, after checking access to it.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify access to the named property.
+   * @param {string} propName The name of the property.
+   * @throws {Error} If the property does not exist.
+   */
+  _requireProp (propValidator, propName) {
+    propValidator(propName)
+    if (!this._props[propName]) {
+      throw new Error(`No such property '${propName}'`)
+    }
+    return this._props[propName]
+  }
+
+  /**
+   * Get the operations for the named list property. See [getList()]{@link PropsModelApi#getList}.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify write access to the list property, for each operation.
+   * @param {string} propName The name of the list property.
+   */
+  _getList (propValidator, propName) {
+    if (!this._requireProp(NOOP, propName).itemTrackers) {
+      throw new Error(`Property '${propName}' is not a list property`)
+    }
+    const current = () => this._readValue(propName)
+    const checkIndex = (index, length) => {
+      if (!Number.isInteger(index) || index < 0 || index >= length) {
+        throw new Error(`Index ${index} is out of range for list property '${propName}'`)
+      }
+    }
+    const update = (splice, newList) => {
+      this._listSplice = { propName, splice }
+      try {
+        this._set(propValidator, propName, newList)
+      } finally {
+        this._listSplice = null
+      }
+    }
+    const insert = (index, ...items) => {
+      const list = current()
+      checkIndex(index, list.length + 1)
+      if (items.length) {
+        update(
+          { type: 'insert', index, removed: [], added: items },
+          [...list.slice(0, index), ...items, ...list.slice(index)]
+        )
+      }
+      return list.length + items.length
+    }
+    return {
+      push: (...items) => insert(current().length, ...items),
+      insert,
+      remove: (index, count = 1) => {
+        const list = current()
+        checkIndex(index, list.length)
+        const removed = list.slice(index, index + Math.max(count, 0))
+        if (removed.length) {
+          update(
+            { type: 'remove', index, removed, added: [] },
+            [...list.slice(0, index), ...list.slice(index + removed.length)]
+          )
+        }
+        return removed
+      },
+      move: (from, to) => {
+        const list = current()
+        checkIndex(from, list.length)
+        checkIndex(to, list.length)
+        if (from !== to) {
+          const copy = list.slice()
+          copy.splice(to, 0, ...copy.splice(from, 1))
+          update({ type: 'move', index: from, to, removed: [], added: [] }, copy)
+        }
+      },
+      update: (index, item) => {
+        const list = current()
+        checkIndex(index, list.length)
+        const copy = list.slice()
+        copy[index] = item
+        update({ type: 'update', index, removed: [list[index]], added: [item] }, copy)
+      }
+    }
   }
 
   /**
@@ -392,6 +2242,13 @@ export class PropsModel {
           )
       }
     }
+    const install = (propName, funcName, func) => {
+      target[funcName] = func
+      if (!this._installedAccessors.has(propName)) {
+        this._installedAccessors.set(propName, [])
+      }
+      this._installedAccessors.get(propName).push([target, funcName, func])
+    }
     for (const propName of Object.keys(propertyAccess)) {
       const access = propertyAccess[propName]
       switch (access.toLowerCase()) {
@@ -400,10 +2257,10 @@ export class PropsModel {
             const [funcName] = createAccessorNames(propName, 'get')
             const getter = {
               [funcName]: () => {
-                return this._props[propName].value
+                return this._readValue(propName)
               }
             }[funcName]
-            target[funcName] = getter
+            install(propName, funcName, getter)
           }
           break
 
@@ -416,14 +2273,14 @@ export class PropsModel {
             )
             const funcs = {
               [getterName]: () => {
-                return this._props[propName].value
+                return this._readValue(propName)
               },
               [setterName]: (value) => {
                 this._set(() => {}, propName, value)
               }
             }
-            target[getterName] = funcs[getterName]
-            target[setterName] = funcs[setterName]
+            install(propName, getterName, funcs[getterName])
+            install(propName, setterName, funcs[setterName])
           }
           break
 
@@ -433,6 +2290,65 @@ export class PropsModel {
     }
   }
 
+  /**
+   * Start recording changes to primary properties so that they can be undone and redone with
+   * [undo()]{@link PropsModel#undo} and [redo()]{@link PropsModel#redo}.
+   *
+   * Each change chain that changes one or more primary properties is recorded as a single undoable entry; this
+   * includes all the properties set in a single call to [set()]{@link PropsModelApi#set(2)} or in a single
+   * [transaction]{@link PropsModel#transaction}. Derived properties are not recorded, they are simply recalculated
+   * as usual when an entry is undone or redone.
+   *
+   * This also defines two derived properties, `canUndo` and `canRedo`, which reflect whether or not there is
+   * anything to undo or redo, and fire change events like any other property. Additionally, a `history-changed`
+   * event is emitted whenever either stack of entries changes, with an object holding the current `canUndo` and
+   * `canRedo` values.
+   *
+   * @param {object} [options]
+   * @param {number} [options.limit=100] The maximum number of entries that can be undone.
+   * @throws {Error} If history is already enabled, or if `canUndo` or `canRedo` are already defined.
+   */
+  enableHistory (options) {
+    if (this._history) {
+      throw new Error('History is already enabled')
+    }
+    this.defineDerivedProp('canUndo', [], () => false)
+    this.defineDerivedProp('canRedo', [], () => false)
+    const history = new PropsHistory(this, options)
+    this._chainObservers.add((changes) => history.record(changes))
+    this._history = history
+    return this
+  }
+
+  /**
+   * Undo the most recently recorded (and not already undone) entry from the history, by setting all of the
+   * primary properties it changed back to their previous values, in a single batch. Requires that history
+   * has been enabled with [enableHistory()]{@link PropsModel#enableHistory}.
+   *
+   * @returns {boolean} `true` if an entry was undone, `false` if there was nothing to undo.
+   * @throws {Error} If history is not enabled, or if called while a change chain or transaction is in progress.
+   */
+  undo () {
+    return this._requireHistory().undo()
+  }
+
+  /**
+   * Redo the most recently undone entry from the history. See [undo()]{@link PropsModel#undo}.
+   *
+   * @returns {boolean} `true` if an entry was redone, `false` if there was nothing to redo.
+   * @throws {Error} If history is not enabled, or if called while a change chain or transaction is in progress.
+   */
+  redo () {
+    return this._requireHistory().redo()
+  }
+
+  _requireHistory () {
+    if (!this._history) {
+      throw new Error('History is not enabled')
+    }
+    return this._history
+  }
+
   /**
    * Create a function that will delegate to the given handler with the values of specified properties as the arguments.
    * The returned function will fetch the values of the named properties and pass them in the order given as the first
@@ -446,7 +2362,7 @@ export class PropsModel {
   _createUtilizer (propValidator, [...propNames], handler) {
     propNames.forEach(propValidator)
     propNames.forEach((propName) => {
-      if (!this._props[propName]) {
+      if (!this._hasPath(propName)) {
         throw new Error(
           `Cannot create utilizer of unknown property '${propName}'`
         )
@@ -454,85 +2370,580 @@ export class PropsModel {
     })
     return (...args) => {
       return handler(
-        ...propNames.map((propName) => this._props[propName].value),
+        ...propNames.map((propName) => this._readPath(propName)),
         ...args
       )
     }
   }
 
-  /**
-   * Register the given handler to be invoked any time any of the given properties fire a change event.
-   *
-   * The given handler is invoked with three arguments: propName, newValue, oldValue.
-   */
-  _onAny (propValidator, [...propNames], handler) {
-    propNames.forEach(propValidator)
-    for (let i = 0; i < propNames.length; i++) {
-      this._eventEmitter.on(`${propNames[i]}-changed`, handler)
-    }
+  /**
+   * Register the given handler to be invoked any time any of the given properties fire a change event.
+   *
+   * The given handler is invoked with four arguments: propName, newValue, oldValue, and the provenance of the change.
+   * If a filter is given, the provenance only has the roots it accepts; if it's `null`, the handler is registered as is.
+   *
+   * @returns {disposer} A function that removes all the listeners registered by this call.
+   */
+  _onAny (propValidator, propFilter, [...propNames], handler, options) {
+    propNames.forEach(propValidator)
+    const listener = filterListenerProvenance(handler, propFilter)
+    return combineDisposers(
+      propNames.map((propName) => this._splitKeyPath(propName)
+        ? this._subscribeToKey(propName, listener, options)
+        : this._subscribe(this._eventName('changed', propName), listener, options)
+      )
+    )
+  }
+
+  /**
+   * Register the given handler to be invoked with a change record for every change to any property the given filter
+   * accepts. See [onAnyChange()]{@link PropsModel#onAnyChange}.
+   *
+   * @private
+   * @param {function(string):boolean} propFilter Called with the name of each changed property, only changes for which
+   * it returns a truthy value are passed to the handler. The roots of each change's provenance are filtered the same way.
+   */
+  _onAnyChange (propFilter, handler, options) {
+    return this._subscribe(
+      this._eventName('any-change'),
+      (record) => {
+        if (propFilter(record.prop)) {
+          handler({ ...record, provenance: filterProvenance(record.provenance, propFilter) })
+        }
+      },
+      options
+    )
+  }
+
+  _onPropChainComplete (propFilter, handler, options) {
+    return this._subscribe(
+      this._eventName('prop-chain-completed'),
+      (firedProps, provenance) => handler(
+        firedProps.filter(propFilter),
+        filterProvenance(provenance, propFilter)
+      ),
+      options
+    )
+  }
+
+  /**
+   * Create an observable of the values of the named properties. See [toObservable()]{@link PropsModelApi#toObservable}.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify read access to each of the named properties.
+   */
+  _toObservable (propValidator, propNames) {
+    const names = Array.isArray(propNames) ? [...propNames] : [propNames]
+    const current = this._createUtilizer(propValidator, names, (...values) =>
+      Array.isArray(propNames)
+        ? names.reduce((o, propName, index) => {
+          o[propName] = values[index]
+          return o
+        }, {})
+        : values[0]
+    )
+    return createObservable((next) => {
+      next(current())
+      return combineDisposers([
+        // Listening to the change events of the properties means lazy properties among them are recalculated, rather
+        // than just invalidated, so their changes are part of the chain.
+        ...names.map((propName) => this._subscribe(this._eventName('changed', propName), NOOP)),
+        this._onPropChainComplete(
+          (propName) => names.includes(propName),
+          (firedProps) => {
+            if (firedProps.length) {
+              next(current())
+            }
+          }
+        )
+      ])
+    })
+  }
+
+  /**
+   * Create an async iterator of the changes to the named properties. See [changes()]{@link PropsModelApi#changes}.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify read access to each of the named properties.
+   */
+  _changes (propValidator, [...propNames], { mode = 'buffer', signal } = {}) {
+    if (mode !== 'buffer' && mode !== 'coalesce') {
+      throw new Error(`Unknown changes mode '${mode}'`)
+    }
+    propNames.forEach((propName) => this._requireProp(propValidator, propName))
+    const queue = []
+    const waiting = []
+    let done = false
+    const finish = () => {
+      if (!done) {
+        done = true
+        queue.length = 0
+        dispose()
+        if (signal) {
+          signal.removeEventListener('abort', finish)
+        }
+        waiting.splice(0).forEach((resolve) => resolve({ value: undefined, done: true }))
+      }
+      return Promise.resolve({ value: undefined, done: true })
+    }
+    const listener = (propName, newValue, oldValue) => {
+      const record = { propName, newValue, oldValue }
+      if (waiting.length) {
+        waiting.shift()({ value: record, done: false })
+        return
+      }
+      const pending = mode === 'coalesce' && queue.find((queued) => queued.propName === propName)
+      if (pending) {
+        pending.newValue = newValue
+      } else {
+        queue.push(record)
+      }
+    }
+    // The iterator ends however its listeners are removed, including when the model is disposed.
+    const dispose = combineDisposers(propNames.map((propName) =>
+      this._subscribe(this._eventName('changed', propName), listener, {}, finish)
+    ))
+    if (signal) {
+      if (signal.aborted) {
+        finish()
+      } else {
+        signal.addEventListener('abort', finish)
+      }
+    }
+    return {
+      next: () => {
+        if (queue.length) {
+          return Promise.resolve({ value: queue.shift(), done: false })
+        }
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true })
+        }
+        return new Promise((resolve) => {
+          waiting.push(resolve)
+        })
+      },
+      return: finish,
+      [Symbol.asyncIterator] () {
+        return this
+      }
+    }
+  }
+
+  /**
+   * Wait for the named property to have a value that satisfies the given predicate. See [waitFor()]{@link PropsModelApi#waitFor}.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify read access to the named property.
+   */
+  _waitFor (propValidator, propName, predicate = Boolean, { timeout, signal } = {}) {
+    this._requireProp(propValidator, propName)
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortReason(signal))
+        return
+      }
+      let timer = null
+      let dispose = NOOP
+      let settled = false
+      const settle = (fn, result) => {
+        if (settled) {
+          return
+        }
+        settled = true
+        dispose()
+        clearTimeout(timer)
+        if (signal) {
+          signal.removeEventListener('abort', onAbort)
+        }
+        fn(result)
+      }
+      const check = (value) => {
+        try {
+          if (predicate(value)) {
+            settle(resolve, value)
+            return true
+          }
+        } catch (error) {
+          settle(reject, error)
+          return true
+        }
+        return false
+      }
+      const onAbort = () => settle(reject, abortReason(signal))
+      if (check(this._readValue(propName))) {
+        return
+      }
+      dispose = this._subscribe(
+        this._eventName('changed', propName),
+        (changedPropName, newValue) => check(newValue),
+        {},
+        () => settle(reject, new Error(`The model was disposed while waiting for '${propName}'`))
+      )
+      if (typeof timeout === 'number') {
+        timer = setTimeout(() => settle(reject, new Error(`Timed out waiting for '${propName}'`)), timeout)
+      }
+      if (signal) {
+        signal.addEventListener('abort', onAbort)
+      }
+    })
+  }
+
+  /**
+   * Drive the named property from an observable. See [bindFrom()]{@link PropsModelApi#bindFrom}.
+   *
+   * @private
+   * @param {propValidator} propValidator Called to verify write access to the named property, for each value.
+   */
+  _bindFrom (propValidator, propName, observable, { signal, onError } = {}) {
+    const prop = this._requireProp(propValidator, propName)
+    if (prop.derived && !prop.viewOf) {
+      throw new Error(`Cannot bind derived property '${propName}'`)
+    }
+    if (signal && signal.aborted) {
+      return NOOP
+    }
+    let stopped = false
+    let unsubscribe = null
+    const dispose = () => {
+      if (!stopped) {
+        stopped = true
+        this._subscriptions.delete(dispose)
+        if (signal) {
+          signal.removeEventListener('abort', dispose)
+        }
+      }
+      if (unsubscribe) {
+        unsubscribe()
+        unsubscribe = null
+      }
+    }
+    const fail = (error) => {
+      dispose()
+      if (onError) {
+        onError(error)
+      } else {
+        this._emit(this._eventName('binding-failed'), propName, error)
+      }
+    }
+    this._subscriptions.add(dispose)
+    if (signal) {
+      signal.addEventListener('abort', dispose)
+    }
+    unsubscribe = subscribeTo(observable, {
+      next: (value) => {
+        if (stopped) {
+          return
+        }
+        try {
+          this._set(propValidator, propName, value)
+        } catch (error) {
+          fail(error)
+        }
+      },
+      error: (error) => {
+        if (!stopped) {
+          fail(error)
+        }
+      },
+      complete: dispose
+    })
+    if (stopped) {
+      dispose()
+    }
+    return dispose
+  }
+
+  /**
+   * Register the given handler to be called with the values of all of the named properties anytime
+   * any one of those properties changes.
+   *
+   * This uses {@link #_createUtilizer} to create a no-argument function that will collect the
+   * values of the properties and delegate them to the given `handler`. The function thus prouced is
+   * registered as a change handler for the given properties, and is also returned from this function,
+   * with a `dispose` method attached to it that will unregister it.
+   */
+  _createChangeHandler (propValidator, propFilter, [...respondsTo], handler, options) {
+    const callback = this._createUtilizer(propValidator, respondsTo, handler)
+    callback.dispose = this._onAny(() => {}, propFilter, respondsTo, callback, options)
+    return callback
+  }
+
+  createUtilizer (propNames, handler) {
+    return this._createUtilizer(() => {}, propNames, handler)
+  }
+
+  /**
+   * Register the given handler to be invoked any time any of the given properties fire a change event.
+   * The handler is invoked with the standard change-event listener arguments: propName, newValue, oldValue, and
+   * the {@link provenance} of the change.
+   *
+   * Keys of [map properties]{@link PropsModel#defineMapProp} can be listened to by name, such as `'users[42]'`, just as
+   * with [onKey()]{@link PropsModelApi#onKey}.
+   *
+   * @param {Array<string>} propNames The names of the properties to listen to.
+   * @param {function(string, *, *, provenance)} handler The listener.
+   * @param {subscriptionOptions} [options]
+   * @returns {disposer} A function that removes the listeners registered for the handler.
+   */
+  onAny (propNames, handler, options) {
+    return this._onAny(() => {}, null, propNames, handler, options)
+  }
+
+  /**
+   * Like {@link #createUtilizer}, but it also registers the created utilizer function to be called anytime
+   * any of the specified properties change. The utilizer function is still returned.
+   *
+   * @param {Array<string>} respondsTo The array of property names to respond to
+   * @param {function} handler The handler to all when ay of the specified properties change
+   * @param {subscriptionOptions} [options]
+   */
+  createChangeHandler (respondsTo, handler, options) {
+    return this._createChangeHandler(() => {}, null, respondsTo, handler, options)
+  }
+
+  /**
+   * Register the given handler to be invoked any time any property fires a change event, including properties that
+   * are defined later. Unlike [onAny()]{@link PropsModel#onAny}, which continues to pass the standard positional
+   * change-event listener arguments, the handler is invoked with a single {@link changeRecord}. Changes to paths in
+   * [child models]{@link PropsModel#defineChildModel} are included, but changes to internal properties are not.
+   *
+   * A [lazy]{@link propOptions} property is always calculated when its dependencies change while any such handler is
+   * registered, as it would be if it had a change listener of its own.
+   *
+   * @param {function(changeRecord)} handler The listener.
+   * @param {subscriptionOptions} [options]
+   * @returns {disposer} A function that removes the listener.
+   */
+  onAnyChange (handler, options) {
+    return this._onAnyChange(() => true, handler, options)
+  }
+
+  /**
+   * Register the given handler to be invoked at the end of each change chain, i.e., once the outermost
+   * set of property change events (and every change they lead to) has been fired. The handler is invoked
+   * with an array of the names of all properties that fired change events in the chain, and the {@link provenance}
+   * of the changes that started the chain. Through an API, both only include the properties it can read.
+   *
+   * @param {function(Array<string>, provenance)} handler The listener.
+   * @param {subscriptionOptions} [options]
+   * @returns {disposer} A function that removes the listener.
+   */
+  onPropChainComplete (handler, options) {
+    return this._onPropChainComplete(() => true, handler, options)
+  }
+
+  toObservable (propNames) {
+    return this._toObservable(NOOP, propNames)
+  }
+
+  bindFrom (propName, observable, options) {
+    return this._bindFrom(NOOP, propName, observable, options)
+  }
+
+  changes (propNames, options) {
+    return this._changes(NOOP, propNames, options)
+  }
+
+  waitFor (propName, predicate, options) {
+    return this._waitFor(NOOP, propName, predicate, options)
+  }
+
+  set (...args) {
+    return this._set(() => {}, ...args)
+  }
+
+  /**
+   * Run the given function as a transaction. Properties set while the transaction is open are updated
+   * immediately, but derived properties are not recalculated and no change events are fired until
+   * the function returns. At that point, all the properties that were set are propagated together, as if
+   * they had all been set in a single call to [set()]{@link PropsModelApi#set(2)}: each derived property is
+   * recalculated at most once, each property fires at most one change event (from its value before the
+   * transaction to its value after), and a single `prop-chain-completed` event is fired.
+   *
+   * If the function throws, all the properties set in the transaction are restored to what they were before
+   * the transaction, no events are fired, and the error is rethrown. The same happens if any
+   * [constraints]{@link PropsModel#defineConstraint} fail when they're checked, once the transaction is committed.
+   *
+   * The function can be asynchronous: if it returns a promise (or other thenable), the transaction remains open
+   * until it settles, and this method returns a promise for the same result.
+   *
+   * Once the function has returned its promise, only properties set through the transaction object it's given are part
+   * of the transaction. Properties set any other way in the meantime are propagated right away as usual, and aren't
+   * rolled back if the transaction fails. If one of them was already set in the transaction, the later write takes it
+   * over: its change event is fired from the value before the transaction, and the transaction no longer commits or
+   * rolls it back.
+   *
+   * ```javascript
+   * await propsModel.transaction(async (tx) => {
+   *   tx.set('status', 'saving')
+   *   const saved = await save()
+   *   tx.set({ status: 'saved', revision: saved.revision })
+   * })
+   * ```
+   *
+   * Transactions can be nested; only the outermost transaction propagates changes. If a nested transaction fails,
+   * only the changes made in it are rolled back.
+   *
+   * **Note** that because derived properties are not recalculated until the transaction completes, reading a
+   * derived property (including a property view) inside the transaction gives its value from before the transaction.
+   *
+   * The {@link provenance} of the changes has every property set in the transaction as a root. Its `source` and `meta`
+   * are taken from the given options, or else from the first [set()]{@link PropsModelApi#set(1)} in the transaction
+   * that was given them.
+   *
+   * @param {function(transaction):*} fn The function to run, invoked with the transaction.
+   * @param {setOptions} [options] Describes where the changes made in the transaction come from.
+   * @returns {*} Whatever `fn` returns.
+   * @throws {*} Whatever `fn` throws.
+   */
+  transaction (fn, options) {
+    return this._transaction(NOOP, fn, options)
+  }
+
+  get (...args) {
+    return this._get(() => {}, ...args)
+  }
+
+  toJSON () {
+    return this._toJSON(() => true)
+  }
+
+  getAll (...args) {
+    return this._getAll(() => true, ...args)
+  }
+
+  isValid (propName) {
+    return this._isValid(() => {}, propName)
   }
 
-  _onPropChainComplete (propFilter, handler) {
-    this._eventEmitter.on('prop-chain-completed', (firedProps) =>
-      handler(firedProps.filter(propFilter))
-    )
+  getErrors () {
+    return this._getErrors(() => true)
   }
 
   /**
-   * Register the given handler to be called with the values of all of the named properties anytime
-   * any one of those properties changes.
+   * Restore the values of primary properties from a snapshot, such as one produced by [toJSON()]{@link PropsModelApi#toJSON}.
+   * Each value in the snapshot is passed through its property's `deserialize` function, if it has one (see {@link propOptions}),
+   * so that values serialized by `toJSON` are restored to their original form.
    *
-   * This uses {@link #_createUtilizer} to create a no-argument function that will collect the
-   * values of the properties and delegate them to the given `handler`. The function thus prouced is
-   * registered as a change handler for the given properties, and is also returned from this function.
+   * All of the values are applied as a single atomic batch, just like [set()]{@link PropsModelApi#set(2)}: each value is checked
+   * against its property's {@link valueValidator} before any property is changed, and derived properties are then recalculated
+   * from the restored values. Values of derived properties are never taken from the snapshot.
+   *
+   * Primary properties that are not included in the snapshot are left unchanged. The snapshot of a child model property
+   * (see [defineChildModel()]{@link PropsModel#defineChildModel}) is restored into the child model, as part of the same
+   * batch: if it can't be restored, nothing is changed in this model or any of its child models either.
+   *
+   * @param {object} snapshot An object mapping property names to their values.
+   * @param {object} [options]
+   * @param {boolean} [options.strict=true] In strict mode, an error is thrown (and nothing is restored) if the snapshot
+   * includes any keys that are unknown properties or derived properties. Otherwise, such keys are ignored.
+   * @throws {Error} If the snapshot is invalid, in which case no properties are changed.
    */
-  _createChangeHandler (propValidator, [...respondsTo], handler) {
-    const callback = this._createUtilizer(propValidator, respondsTo, handler)
-    this._onAny(() => {}, respondsTo, callback)
-    return callback
+  restore (snapshot, options) {
+    return this._restore(() => {}, snapshot, options)
   }
 
-  createUtilizer (propNames, handler) {
-    return this._createUtilizer(() => {}, propNames, handler)
+  /**
+   * Create a new model, define its properties, and then [restore]{@link PropsModel#restore} it from the given snapshot.
+   *
+   * @param {external:EventEmitter|EventTarget|eventAdapter} [eventEmitter] The event emitter for the new model.
+   * @param {function(PropsModel)} define A function that is invoked with the new model to define its properties.
+   * @param {object} snapshot The snapshot of property values to restore.
+   * @param {object} [options] Options for [restore()]{@link PropsModel#restore}.
+   * @returns {PropsModel} The new model.
+   */
+  static fromJSON (eventEmitter, define, snapshot, options) {
+    const propsModel = new PropsModel(eventEmitter)
+    define(propsModel)
+    propsModel.restore(snapshot, options)
+    return propsModel
   }
 
-  onAny (propNames, handler) {
-    return this._onAny(() => {}, propNames, handler)
+  /**
+   * Create a new model with properties defined by the given schema. The schema is a plain object mapping each property
+   * name to a {@link propSchema} describing it. Properties can be listed in any order, they are defined in an order that
+   * ensures each one is defined after all the properties it depends on.
+   *
+   * ```javascript
+   * const propsModel = PropsModel.fromSchema(new EventEmitter(), {
+   *   area: { kind: 'derived', dependsOn: ['size'], calculate: ({ length, width }) => length * width },
+   *   length: { kind: 'view', viewOf: 'size', property: 'length', valueValidator: assertValidDimension },
+   *   size: { initialValue: { length: 10, width: 20 }, equals: 'shallow', access: 'readonly' }
+   * })
+   * ```
+   *
+   * @param {external:EventEmitter|EventTarget|eventAdapter} [eventEmitter] The event emitter for the new model.
+   * @param {Object<string, propSchema>} schema The schema describing the properties.
+   * @param {object} [options] Options for the [constructor]{@link PropsModel}.
+   * @returns {PropsModel} The new model.
+   * @throws {Error} If the schema is invalid, e.g., if it has unknown dependencies or circular dependencies. All problems
+   * found in the schema are reported together.
+   */
+  static fromSchema (eventEmitter, schema, options) {
+    const propsModel = new PropsModel(eventEmitter, options)
+    propsModel._accessLevels = defineFromSchema(propsModel, schema)
+    return propsModel
   }
 
   /**
-   * Like {@link #createUtilizer}, but it also registers the created utilizer function to be called anytime
-   * any of the specified properties change. The utilizer function is still returned.
+   * Returns an API object whose access to each property is determined by the access levels given in the schema the model
+   * was created from (see [fromSchema()]{@link PropsModel.fromSchema}). Properties that weren't defined from a schema have
+   * no access.
    *
-   * @param {Array<string>} respondsTo The array of property names to respond to
-   * @param {function} handler The handler to all when ay of the specified properties change
+   * @see #createApi
    */
-  createChangeHandler (respondsTo, handler) {
-    return this._createChangeHandler(() => {}, respondsTo, handler)
+  getSchemaApi () {
+    const accessLevel = (propName) => this._accessLevels[propName] || 'none'
+    const readChecker = (propName) => accessLevel(propName) !== 'none'
+    return this.createApi(
+      readChecker,
+      propertyCheckerToValidator(readChecker),
+      (propName) => {
+        if (accessLevel(propName) !== 'readwrite') {
+          throw new Error(`Write access to ${propName} is not allowed`)
+        }
+      }
+    )
   }
 
-  onPropChainComplete (handler) {
-    return this._onPropChainComplete(() => true, handler)
+  getPropNames () {
+    return this._getPropNames(() => true)
   }
 
-  set (...args) {
-    return this._set(() => {}, ...args)
+  getDependencies (propName, options) {
+    return this._getDependencies(NOOP, () => true, propName, options)
   }
 
-  get (...args) {
-    return this._get(() => {}, ...args)
+  getDependents (propName, options) {
+    return this._getDependents(NOOP, () => true, propName, options)
   }
 
-  toJSON () {
-    return this._toJSON(() => true)
+  getPropInfo (propName) {
+    return this._getPropInfo(NOOP, NOOP, propName)
   }
 
-  getAll (...args) {
-    return this._getAll(() => true, ...args)
+  toGraph (options) {
+    return this._toGraph(() => true, options)
   }
 
-  getPropNames () {
-    return this._getPropNames(() => true)
+  getList (propName) {
+    return this._getList(NOOP, propName)
+  }
+
+  getKey (propName, key) {
+    return this._getKey(NOOP, propName, key)
+  }
+
+  setKey (propName, key, value) {
+    return this._setKey(NOOP, propName, key, value)
+  }
+
+  deleteKey (propName, key) {
+    return this._deleteKey(NOOP, propName, key)
+  }
+
+  onKey (propName, key, handler, options) {
+    return this._onKey(NOOP, null, propName, key, handler, options)
   }
 
   installAccessors (...args) {
@@ -555,7 +2966,7 @@ export class PropsModel {
    * @param {function(string):*} [writeValidator=readValidator] A function to enforce write access, similar to the `readValidator`.
    * If not given, the default is to use the `readValidator`.
    *
-   * @returns {{get, set, createUtilizer, createChangeHandler, toJSON, getAll, getPropNames, }}
+   * @returns {{get, set, transaction, createUtilizer, createChangeHandler, onAny, onAnyChange, installAccessors, toJSON, getAll, restore, getPropNames, onPropChainComplete, isValid, getErrors, getDependencies, getDependents, getPropInfo, toGraph, getList, getKey, setKey, deleteKey, onKey, toObservable, bindFrom, changes, waitFor}}
    */
   createApi (
     readChecker,
@@ -565,16 +2976,35 @@ export class PropsModel {
     return {
       get: (...args) => this._get(readValidator, ...args),
       set: (...args) => this._set(writeValidator, ...args),
+      transaction: (fn, options) => this._transaction(writeValidator, fn, options),
       createUtilizer: (...args) => this._createUtilizer(readValidator, ...args),
       createChangeHandler: (...args) =>
-        this._createChangeHandler(readValidator, ...args),
+        this._createChangeHandler(readValidator, readChecker, ...args),
+      onAny: (...args) => this._onAny(readValidator, readChecker, ...args),
+      onAnyChange: (...args) => this._onAnyChange(readChecker, ...args),
       installAccessors: (...args) =>
         this._installAccessors(readValidator, writeValidator, ...args),
       toJSON: () => this._toJSON(readChecker),
       getAll: () => this._getAll(readChecker),
+      restore: (...args) => this._restore(writeValidator, ...args),
       getPropNames: () => this._getPropNames(readChecker),
       onPropChainComplete: (...args) =>
-        this._onPropChainComplete(readChecker, ...args)
+        this._onPropChainComplete(readChecker, ...args),
+      isValid: (propName) => this._isValid(readValidator, propName),
+      getErrors: () => this._getErrors(readChecker),
+      getDependencies: (...args) => this._getDependencies(readValidator, readChecker, ...args),
+      getDependents: (...args) => this._getDependents(readValidator, readChecker, ...args),
+      getPropInfo: (propName) => this._getPropInfo(readValidator, writeValidator, propName),
+      toGraph: (options) => this._toGraph(readChecker, options),
+      getList: (propName) => this._getList(writeValidator, propName),
+      getKey: (...args) => this._getKey(readValidator, ...args),
+      setKey: (...args) => this._setKey(writeValidator, ...args),
+      deleteKey: (...args) => this._deleteKey(writeValidator, ...args),
+      onKey: (...args) => this._onKey(readValidator, readChecker, ...args),
+      toObservable: (propNames) => this._toObservable(readValidator, propNames),
+      bindFrom: (...args) => this._bindFrom(writeValidator, ...args),
+      changes: (...args) => this._changes(readValidator, ...args),
+      waitFor: (...args) => this._waitFor(readValidator, ...args)
     }
   }
 
@@ -616,6 +3046,228 @@ export class PropsModel {
 
 function NOOP () {}
 
+function IDENTITY (value) {
+  return value
+}
+
+/**
+ * Create the internal record used to track a property, filling in defaults for a primary property.
+ *
+ * @private
+ */
+function createPropRecord ({
+  value,
+  derived = false,
+  kind = derived ? 'derived' : 'primary',
+  valueValidator = NOOP,
+  validation = 'strict',
+  didChange = defaultDidChange,
+  codec,
+  serialize,
+  deserialize,
+  dependsOn = [],
+  calculate = null,
+  lazy = false,
+  dirty = false,
+  viewOf = null,
+  reduceBaseValue = null,
+  childModel = null,
+  internal = false,
+  itemTrackers = null,
+  owner = null,
+  companions = [],
+  dispose = NOOP
+}) {
+  const codecHooks = resolveCodec(codec)
+  return {
+    value,
+    derived,
+    kind,
+    valueValidator,
+    validation,
+    error: null,
+    didChange,
+    serialize: serialize || codecHooks.serialize || IDENTITY,
+    deserialize: deserialize || codecHooks.deserialize || IDENTITY,
+    dependsOn: [...dependsOn],
+    dependents: new Set(),
+    calculate,
+    lazy,
+    dirty,
+    viewOf,
+    reduceBaseValue,
+    childModel,
+    internal,
+    itemTrackers,
+    owner,
+    companions,
+    dispose
+  }
+}
+
+/**
+ * Several of the methods for defining properties accept either a single function for one of their optional arguments,
+ * or a {@link propOptions} object in its place. This normalizes such an argument to an options object.
+ *
+ * @private
+ * @param {function|object} [optionsOrFunction] The argument.
+ * @param {string} key The name of the option that a function argument gives.
+ * @param {object} [defaults] Options to use for anything not otherwise given.
+ */
+function toOptions (optionsOrFunction, key, defaults = {}) {
+  if (optionsOrFunction !== null && typeof optionsOrFunction === 'object') {
+    return { ...defaults, ...optionsOrFunction }
+  }
+  return { ...defaults, [key]: optionsOrFunction }
+}
+
+/**
+ * Validation errors are considered the same if they have the same message, so that setting one invalid value in place
+ * of another isn't reported as a change in the property's validity unless the reason changed.
+ *
+ * @private
+ */
+function isSameError (error, otherError) {
+  if (!error || !otherError) {
+    return error === otherError
+  }
+  return error === otherError || (error.message === otherError.message && typeof error.message !== 'undefined')
+}
+
+/**
+ * Serialize an error as an object with its `name` and `message`, since an `Error` has no enumerable properties to
+ * serialize. Anything else that was thrown is serialized as is.
+ *
+ * @private
+ */
+function serializeError (error) {
+  return error instanceof Error ? { name: error.name, message: error.message } : error
+}
+
+/**
+ * Pass a value through `JSON.stringify` and `JSON.parse`, giving `null` for a value with no JSON representation.
+ *
+ * @private
+ */
+function toJSONValue (value) {
+  const json = JSON.stringify(value)
+  return typeof json === 'undefined' ? null : JSON.parse(json)
+}
+
+function assertValidationMode (validation) {
+  if (validation !== 'strict' && validation !== 'soft') {
+    throw new Error(`Unknown validation mode '${validation}'`)
+  }
+  return validation
+}
+
+function getIn (value, path) {
+  return path.reduce((node, key) => (node === null || typeof node === 'undefined' ? undefined : node[key]), value)
+}
+
+/**
+ * Produce a copy of the given value with the given leaf value at the given path, copying each node along the path
+ * and sharing everything else.
+ *
+ * @private
+ * @param {*} value The value to update.
+ * @param {Array<string|number>} path The keys and indices leading to the value to replace.
+ * @param {*} leaf The new value for the end of the path.
+ * @param {function(number, *):*} createMissing Invoked with the index into the path of a missing node, and whatever is
+ * there instead (i.e., anything but an object or array), to produce the node.
+ */
+function setIn (value, path, leaf, createMissing, index = 0) {
+  if (index === path.length) {
+    return leaf
+  }
+  const node = value === null || typeof value !== 'object' ? createMissing(index, value) : value
+  const child = setIn(node[path[index]], path, leaf, createMissing, index + 1)
+  if (Array.isArray(node)) {
+    const copy = node.slice()
+    copy[path[index]] = child
+    return copy
+  }
+  return { ...node, [path[index]]: child }
+}
+
+function formatPath (propName, path) {
+  return path.reduce((formatted, key) => (typeof key === 'number' ? `${formatted}[${key}]` : `${formatted}.${key}`), propName)
+}
+
+function toStringKeyedMap (entries, mapValue = IDENTITY) {
+  const pairs = typeof entries[Symbol.iterator] === 'function'
+    ? Array.from(entries)
+    : Object.entries(entries)
+  return new Map(pairs.map(([key, value]) => [String(key), mapValue(value)]))
+}
+
+function abortReason (signal) {
+  return typeof signal.reason !== 'undefined' ? signal.reason : new Error('Aborted')
+}
+
+/**
+ * Create a complete {@link provenance} record.
+ *
+ * @private
+ */
+function createProvenance ({ source, meta, roots = [] } = {}) {
+  return { source, meta, roots }
+}
+
+/**
+ * Copy a {@link provenance} record with only the roots the given filter accepts, so that an API isn't told about
+ * properties it can't read.
+ *
+ * @private
+ * @param {provenance} provenance The provenance to filter.
+ * @param {function(string):boolean} propFilter Called with the name of each root.
+ * @returns {provenance} The filtered provenance.
+ */
+function filterProvenance ({ source, meta, roots }, propFilter) {
+  return createProvenance({ source, meta, roots: roots.filter(propFilter) })
+}
+
+/**
+ * Wrap a change event listener so that the provenance it's called with only has the roots the given filter accepts.
+ *
+ * @private
+ * @param {function(string, *, *, provenance)} listener The listener to wrap.
+ * @param {?function(string):boolean} propFilter Called with the name of each root. If `null`, the listener is returned
+ * as is.
+ * @returns {function(string, *, *, provenance)} The wrapped listener.
+ */
+function filterListenerProvenance (listener, propFilter) {
+  if (!propFilter) {
+    return listener
+  }
+  return (propName, newValue, oldValue, provenance) =>
+    listener(propName, newValue, oldValue, filterProvenance(provenance, propFilter))
+}
+
+/**
+ * Combine the provenance of writes made in the same transaction: the roots of both, and the `source` and `meta` of the
+ * first, if it has them.
+ *
+ * @private
+ * @param {?provenance} first The provenance of the earlier writes, if any.
+ * @param {provenance} second The provenance of the later writes.
+ * @returns {provenance} The combined provenance.
+ */
+function mergeProvenance (first, second) {
+  if (!first) {
+    return second
+  }
+  return createProvenance({
+    source: typeof first.source === 'undefined' ? second.source : first.source,
+    meta: typeof first.meta === 'undefined' ? second.meta : first.meta,
+    roots: Array.from(new Set([...first.roots, ...second.roots]))
+  })
+}
+
+function combineDisposers (disposers) {
+  return () => disposers.forEach((dispose) => dispose())
+}
+
 function defaultDidChange (newValue, oldVaue) {
   return newValue !== oldVaue
 }
@@ -640,7 +3292,8 @@ function propertyCheckerToValidator (checker) {
 }
 
 function propNameIsPublic (propName) {
-  return !propName.startsWith('_')
+  // Each segment of a path into a child model has to be public, ignoring the keys of map properties.
+  return propName.replace(/\[[^\]]*\]/g, '').split('.').every((segment) => !segment.startsWith('_'))
 }
 
 function assertPropNameIsPublic (propName) {
@@ -651,7 +3304,9 @@ function assertPropNameIsPublic (propName) {
 
 function createStandardWriteValidator (propModel) {
   return (propName) => {
-    if (propModel._props[propName].derived) {
+    // Paths into child models are checked by the child model itself, which can't restore its derived properties.
+    const prop = propModel._props[propName]
+    if (prop && prop.derived) {
       throw new Error(
         `Write access to ${propName} is not allowed because the property is a derived property.`
       )
@@ -697,6 +3352,51 @@ function createStandardWriteValidator (propModel) {
  * @return {boolean} Any truthy value will indicate that the property should be considered changed.
  */
 
+/**
+ * Options accepted by the methods that register listeners.
+ *
+ * @typedef {object} subscriptionOptions
+ * @property {AbortSignal} [signal] An optional signal; when it is aborted, the listeners are removed
+ * just as if the returned {@link disposer} had been called. If it's already aborted, nothing is registered.
+ */
+
+/**
+ * A function returned by the methods that register listeners, which removes those listeners when called.
+ * Calling it more than once has no further effect.
+ *
+ * @callback disposer
+ */
+
+/**
+ * Options that can be given when defining a property, in place of a single function argument. Not all
+ * options are meaningful for all kinds of properties.
+ *
+ * @typedef {object} propOptions
+ * @property {valueValidator} [valueValidator] For primary properties, see [defineProp()]{@link PropsModel#defineProp}.
+ * For property views, each value written through the view is checked before the base property is updated; since a
+ * view has no value of its own to hold an invalid value, a value it rejects is never written, whatever the `validation`.
+ * @property {didChange|string} [didChange] Determines whether or not a new value is considered a change. Can be
+ * given as the name of a built-in [comparator]{@link comparators}, as for the `equals` option.
+ * @property {string|function(*, *):boolean} [equals] An equality function, or the name of one of the built-in
+ * [comparators]{@link comparators}, used to determine whether or not a new value is considered a change: it is
+ * considered a change if and only if it is not equal to the old value. Ignored if `didChange` is given. If neither is
+ * given, the model's default is used; see the {@link PropsModel} constructor.
+ * @property {string|codec} [codec] The name of one of the [built-in codecs]{@link codecs}, or a
+ * custom {@link codec}, used to serialize and deserialize the property's value. Explicitly given `serialize` and
+ * `deserialize` functions take precedence over the codec.
+ * @property {function(*):*} [serialize] A function used by [toJSON()]{@link PropsModelApi#toJSON} to convert the
+ * property's value to a JSON-compatible value.
+ * @property {function(*):*} [deserialize] A function used by [restore()]{@link PropsModel#restore} to convert a
+ * serialized value back into a value for the property. It should be the inverse of `serialize`.
+ * @property {boolean} [lazy=false] For derived properties, whether or not the property is calculated lazily. See
+ * [defineDerivedProp()]{@link PropsModel#defineDerivedProp}.
+ * @property {string} [validation] For primary properties, how values rejected by the `valueValidator` are handled.
+ * With `'strict'` validation, the error is thrown and the write is aborted. With `'soft'` validation, the value is
+ * stored anyway and the error is recorded, so that it's reported by [isValid()]{@link PropsModelApi#isValid} and
+ * [getErrors()]{@link PropsModelApi#getErrors}, until a valid value is set. If not given, the model's default is used;
+ * see the {@link PropsModel} constructor.
+ */
+
 /**
  * A generic validator that is typically used to enforce access authorization for properties based
  * on their names.
@@ -730,16 +3430,29 @@ function createStandardWriteValidator (propModel) {
 /**
  * Set a single property to a new value. The given value will be passed to the configured {@link valueValidator}
  * for the property, _before_ the property is set; if the validator throws an error, the error will not be
- * caught, and the property will not be updated.
+ * caught, and the property will not be updated. The exception is a property with `'soft'` validation (see
+ * {@link propOptions}), which is updated regardless, recording the error instead.
  *
  * After the value is updated, its configured {@link didChange} function will be called and a change event
  * will be fired unless `didChange` returns a falsey value.
  *
+ * The given options describe where the change comes from. They're passed along, as the {@link provenance} of the
+ * change, to the listeners of every change event it leads to, including those of derived properties and views, and of
+ * the `prop-chain-completed` event.
+ *
+ * ```javascript
+ * propsModel.set('width', 20, { source: 'user', meta: { field: 'width-input' } })
+ * ```
+ *
+ * A key of a [map property]{@link PropsModel#defineMapProp} can be set by name, such as `'users[42]'`, which is the
+ * same as setting it with [setKey()]{@link PropsModelApi#setKey}.
+ *
  * @method set(1)
  * @inner
  * @memberof PropsModelApi
  * @param {string} propName The name of the property
  * @param {*} value The new value.
+ * @param {setOptions} [options] Describes where the change comes from.
  */
 
 /**
@@ -747,7 +3460,8 @@ function createStandardWriteValidator (propModel) {
  * This variant sets all the properties specified as keys to the given `propValues` object, setting each
  * to the corresponding value. Note that all properties and values are validated _before_ any property
  * is changed. This includes ensuring that the property is accessible for the given API, that the property
- * exists, and that the value is valid according to the property's {@link valueValidator}.
+ * exists, that the value is valid according to the property's {@link valueValidator}, and that the new values
+ * satisfy any [constraints]{@link PropsModel#defineConstraint} between properties.
  *
  * Additionally, all properties are updated _before_ any property change events are fired. Events are fired
  * individually for each property, in the order they iterate from `propVaues`, and subject to that properties
@@ -758,6 +3472,41 @@ function createStandardWriteValidator (propModel) {
  * @memberof PropsModelApi
  * @param {object} propValues An object mapping property names to the values you want to set them to.
  * All own-properties of the object are assumed to be property names you want to set.
+ * @param {setOptions} [options] Describes where the changes come from.
+ */
+
+/**
+ * Options for [set()]{@link PropsModelApi#set(1)} and [transaction()]{@link PropsModel#transaction} that describe where
+ * the changes come from. See {@link provenance}.
+ *
+ * @typedef {object} setOptions
+ * @property {*} [source] Identifies who or what made the change, e.g., `'user'` or `'server'`.
+ * @property {*} [meta] Any additional information about the change.
+ */
+
+/**
+ * Given to the function run by [transaction()]{@link PropsModel#transaction}, for setting properties as part of the
+ * transaction.
+ *
+ * @typedef {object} transaction
+ * @property {function} set Sets properties just like [set()]{@link PropsModelApi#set(1)}, as part of the transaction,
+ * even after an asynchronous transaction's function has returned its promise.
+ */
+
+/**
+ * Describes where a change came from, as passed to change-event listeners after the new and old values, and to the
+ * listeners of the `prop-chain-completed` event after the names of the changed properties.
+ *
+ * A change made by a listener in response to another change, without its own `source` or `meta`, gets the `source` and
+ * `meta` of the change chain. The changes made by [undo()]{@link PropsModel#undo} and [redo()]{@link PropsModel#redo}
+ * have the `source` `'undo'` and `'redo'`, respectively.
+ *
+ * @typedef {object} provenance
+ * @property {*} source The `source` given in the {@link setOptions}, if any.
+ * @property {*} meta The `meta` given in the {@link setOptions}, if any.
+ * @property {Array<string>} roots The names of the properties that were set to start the change, e.g., the primary
+ * property a changed derived property depends on. A property that was just defined is its own root, as is a
+ * [child model]{@link PropsModel#defineChildModel} property that changed in response to its child model.
  */
 
 /**
@@ -800,13 +3549,15 @@ function createStandardWriteValidator (propModel) {
  * something changes multiple properties at once, the handler will be invoked for each property change.
  *
  * This actually uses [createUtilizer()]{@link PropsModelApi~createUtilizer} to create and returns a utilizer function, after registering
- * the utilizer for the change events.
+ * the utilizer for the change events. The returned utilizer has a `dispose` method attached to it, which is a {@link disposer}
+ * that unregisters it from the change events.
  *
  * @method createChangeHandler
  * @inner
  * @memberof PropsModelApi
  * @param {Array<string>} propNames A list of property names that the utilizer will use.
  * @param {function(...*):*} handler The function that the returned utilizer function will
+ * @param {subscriptionOptions} [options]
  *
  * @throws {Error} If any of the named properties either don't exist or aren't accessible to the
  * API at the time this funciton is called.
@@ -839,6 +3590,259 @@ function createStandardWriteValidator (propModel) {
  * names or which correspond to properties the API doesn't have appropriate access to.
  */
 
+/**
+ * Determine whether or not the named property currently holds a valid value. Only properties with `'soft'`
+ * validation (see {@link propOptions}) can hold invalid values.
+ *
+ * @method isValid
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string} propName The name of the property.
+ * @returns {boolean} `false` if the last value set for the property was rejected by its {@link valueValidator},
+ * `true` otherwise.
+ */
+
+/**
+ * Get the validation errors of all currently invalid properties that this API has read access to. An
+ * `errors-changed` event is fired with the errors of all properties whenever the validity of any property changes,
+ * after the property change events.
+ *
+ * @method getErrors
+ * @inner
+ * @memberof PropsModelApi
+ * @returns {Object<string, *>} An object mapping the name of each invalid property to the error thrown by its
+ * {@link valueValidator}.
+ */
+
+/**
+ * Get the names of the properties that the named property depends on, limited to those this API has read access to.
+ * Only derived properties (including property views) have dependencies. An asynchronous derived property has the
+ * dependencies it was defined with, as does its pending companion.
+ *
+ * @method getDependencies
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string} propName The name of the property.
+ * @param {object} [options]
+ * @param {boolean} [options.transitive=false] Whether to include indirect dependencies, i.e., the dependencies of the
+ * dependencies, and so on. If so, each property is listed before every property that depends on it.
+ * @returns {Array<string>} The property names.
+ */
+
+/**
+ * Get the names of the properties that depend on the named property, limited to those this API has read access to.
+ *
+ * @method getDependents
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string} propName The name of the property.
+ * @param {object} [options]
+ * @param {boolean} [options.transitive=false] Whether to include indirect dependents, i.e., the dependents of the
+ * dependents, and so on. If so, each property is listed before every property that depends on it.
+ * @returns {Array<string>} The property names.
+ */
+
+/**
+ * Describe the named property.
+ *
+ * @method getPropInfo
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string} propName The name of the property.
+ * @returns {propInfo} The description.
+ */
+
+/**
+ * Render the dependency graph of the properties this API has read access to, for visualization. Each property is a node,
+ * shaped according to its kind, with an edge from each property to each property that depends on it.
+ *
+ * @method toGraph
+ * @inner
+ * @memberof PropsModelApi
+ * @param {object} [options]
+ * @param {string} [options.format='dot'] Either `'dot'`, for [Graphviz](https://graphviz.org/), or `'mermaid'`, for a
+ * [Mermaid](https://mermaid.js.org/) flowchart.
+ * @returns {string} The rendered graph.
+ */
+
+/**
+ * Get the operations for modifying the named list property (see [defineListProp()]{@link PropsModel#defineListProp})
+ * item by item. Each operation is equivalent to setting the property to the resulting list, including validation and
+ * write access checks, except that it's described exactly by the {@link splice} fired for it. Indices must be in range:
+ * for `insert`, from 0 to the length of the list, otherwise from 0 to one less than the length of the list.
+ *
+ * * `push(...items)`: add the items to the end of the list, returning the new length.
+ * * `insert(index, ...items)`: insert the items at the given index, returning the new length.
+ * * `remove(index, count = 1)`: remove up to `count` items starting at the given index, returning the removed items.
+ * * `move(from, to)`: move the item at index `from` so that it ends up at index `to`.
+ * * `update(index, item)`: replace the item at the given index.
+ *
+ * @method getList
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string} propName The name of the list property.
+ * @returns {{push, insert, remove, move, update}} The operations.
+ * @throws {Error} If the property does not exist or is not a list property.
+ */
+
+/**
+ * Get the value for the given key of the named map property (see [defineMapProp()]{@link PropsModel#defineMapProp}).
+ *
+ * @method getKey
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string} propName The name of the map property.
+ * @param {string} key The key.
+ * @returns {*} The value, or `undefined` if the map has no entry for the key.
+ */
+
+/**
+ * Set the value for the given key of the named map property. This is equivalent to setting the property to a new `Map`
+ * with the entry added or replaced, including validation and write access checks.
+ *
+ * @method setKey
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string} propName The name of the map property.
+ * @param {string} key The key.
+ * @param {*} value The value.
+ */
+
+/**
+ * Delete the entry for the given key from the named map property. This is equivalent to setting the property to a new
+ * `Map` without the entry, including validation and write access checks. Nothing happens if there is no such entry.
+ *
+ * @method deleteKey
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string} propName The name of the map property.
+ * @param {string} key The key.
+ * @returns {boolean} Whether or not there was an entry to delete.
+ */
+
+/**
+ * Register the given handler to be invoked whenever the value for the given key of the named map property changes,
+ * including when the entry is added or deleted. The handler is invoked with the standard change-event listener
+ * arguments, with the property name given as `${propName}[${key}]`.
+ *
+ * @method onKey
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string} propName The name of the map property.
+ * @param {string} key The key.
+ * @param {function(string, *, *)} handler The listener.
+ * @param {subscriptionOptions} [options]
+ * @returns {disposer} A function that removes the listener.
+ */
+
+/**
+ * Create an observable of the values of the named properties, compatible with RxJS and other libraries that support the
+ * `Symbol.observable` interop protocol (e.g., RxJS's `from()`). Each subscriber immediately receives the current value,
+ * and then a new value at the end of each change chain in which any of the properties changed, so a batch of changes
+ * produces a single value. Unsubscribing removes the subscription's listeners from the event emitter.
+ *
+ * @method toObservable
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string|Array<string>} propNames The name of a single property, in which case the values are the values of
+ * the property; or an array of property names, in which case the values are objects mapping each name to its value.
+ * @returns {object} The observable, with a `subscribe` method taking either an observer object or a `next` function,
+ * and returning a subscription with an `unsubscribe` method.
+ */
+
+/**
+ * Drive the named property from an observable (anything implementing the `Symbol.observable` interop protocol, or with an
+ * RxJS-style `subscribe` method): each value the observable emits is set as the value of the property. The binding stops
+ * when the observable completes, when the returned function is called, when the given `AbortSignal` is aborted, or when
+ * the model is [disposed]{@link PropsModel#dispose}. It also stops if the observable errors, or if a value can't be set,
+ * e.g., because it's invalid; the error is passed to the `onError` option if given, otherwise a `binding-failed` event
+ * is fired with the name of the property and the error. Either way, the error isn't thrown back to the observable.
+ *
+ * @method bindFrom
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string} propName The name of the property, which must not be a derived property, but can be a property view.
+ * @param {object} observable The observable.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] A signal which stops the binding when aborted.
+ * @param {function(*)} [options.onError] Invoked with the error if the binding stops because of one, instead of
+ * firing the `binding-failed` event.
+ * @returns {disposer} A function that stops the binding, unsubscribing from the observable.
+ */
+
+/**
+ * Create an async iterator of the changes to the named properties, for use with `for await`. Each value is a change record,
+ * an object with the `propName`, `newValue`, and `oldValue` of a property change event. Changes are queued from the moment
+ * this is called until they're consumed, so none are missed while the consumer is busy. With the `'coalesce'` mode, a
+ * property that changes again while a change to it is still queued updates the `newValue` of the queued record (keeping its
+ * place in the queue and its `oldValue`) instead of adding a new record, so the consumer only sees the latest value.
+ *
+ * The iterator ends, removing its listeners, when its `return()` method is called (as happens when breaking out of a
+ * `for await` loop), when the given `AbortSignal` is aborted, or when the model is [disposed]{@link PropsModel#dispose}.
+ * Any consumers still waiting for the next change are then told the iterator is done.
+ *
+ * @method changes
+ * @inner
+ * @memberof PropsModelApi
+ * @param {Array<string>} propNames The names of the properties.
+ * @param {object} [options]
+ * @param {string} [options.mode='buffer'] Either `'buffer'`, to queue every change, or `'coalesce'`.
+ * @param {AbortSignal} [options.signal] A signal which ends the iterator when aborted.
+ * @returns {AsyncIterator<{propName: string, newValue: *, oldValue: *}>} The iterator, which is also async iterable.
+ */
+
+/**
+ * Wait for the named property to have a value that satisfies the given predicate, starting with its current value.
+ *
+ * @method waitFor
+ * @inner
+ * @memberof PropsModelApi
+ * @param {string} propName The name of the property.
+ * @param {function(*):boolean} [predicate=Boolean] Invoked with each value, it should return a truthy value for the value
+ * being waited for. By default, waits for a truthy value.
+ * @param {object} [options]
+ * @param {number} [options.timeout] The number of milliseconds to wait before giving up. By default, waits indefinitely.
+ * @param {AbortSignal} [options.signal] A signal which stops waiting when aborted.
+ * @returns {Promise<*>} A promise for the first value that satisfies the predicate. It's rejected if the time runs out,
+ * with the signal's reason if the signal is aborted, with the error if the predicate throws, or if the model is
+ * [disposed]{@link PropsModel#dispose} first.
+ */
+
+/**
+ * Describes a single change to a property, as passed to handlers registered with
+ * [onAnyChange()]{@link PropsModel#onAnyChange}.
+ *
+ * @typedef {object} changeRecord
+ * @property {string} prop The name of the property that changed, or the path, for a property of a child model.
+ * @property {*} newValue The new value of the property.
+ * @property {*} oldValue The previous value of the property, `undefined` when it was just defined.
+ * @property {boolean} derived Whether or not the property is derived (always true for a path into a child model).
+ * @property {string} cause What caused the change: `'set'` if the property was written (including writes the model makes
+ * itself, e.g., to a view's base property or an async property's status), `'dependency'` if it was recalculated because
+ * its dependencies changed, `'child'` if it's a path whose child model changed, or `'define'` if it was just defined.
+ * @property {number} chainId Identifies the change chain the change was made in; every change made in the same chain,
+ * including those made by listeners in response to other changes, has the same `chainId`.
+ * @property {provenance} provenance Where the change came from.
+ */
+
+/**
+ * A description of a property, as returned by [getPropInfo()]{@link PropsModelApi#getPropInfo}.
+ *
+ * @typedef {object} propInfo
+ * @property {string} name The name of the property.
+ * @property {string} kind One of `'primary'`, `'list'`, `'map'`, `'derived'`, `'view'`, `'async'`, `'computed'`, `'child'`, or
+ * `'key'` (for a key of a map property). The companion properties of an asynchronous derived property are `'derived'`.
+ * @property {boolean} derived Whether or not the property is derived, i.e., any kind other than `'primary'`, `'list'`, or
+ * `'map'`.
+ * @property {Array<string>} dependsOn The names of the properties it directly depends on.
+ * @property {?string} viewOf For a property view, the name of its base property, otherwise `null`.
+ * @property {boolean} lazy Whether or not it's a lazy derived property.
+ * @property {boolean} hasValidator Whether or not it was given a {@link valueValidator}.
+ * @property {string} validation Its validation mode, `'strict'` or `'soft'`.
+ * @property {string} access Either `'readwrite'` or `'readonly'`, according to the access the API it was requested
+ * through has. The model itself has write access to every property.
+ */
+
 /**
  * Returns an object representing the properties and their current values that this API has
  * read access to.
@@ -0,0 +1,182 @@
+/**
+ * Support for defining the properties of a {@link PropsModel} from a declarative schema. See
+ * [PropsModel.fromSchema()]{@link PropsModel.fromSchema}.
+ *
+ * @private
+ */
+
+const PROP_OPTION_KEYS = ['valueValidator', 'validation', 'didChange', 'equals', 'codec', 'serialize', 'deserialize', 'serializeValue', 'deserializeValue', 'lazy']
+
+const DEFAULT_ACCESS = {
+  primary: 'readwrite',
+  list: 'readwrite',
+  map: 'readwrite',
+  derived: 'readonly',
+  view: 'readwrite',
+  async: 'readonly',
+  computed: 'readonly'
+}
+
+const ACCESS_LEVELS = ['readwrite', 'readonly', 'none']
+
+/**
+ * Define all of the properties described by the given schema on the given model, in an order that
+ * ensures each property is defined after all the properties it depends on. Computed properties, whose
+ * dependencies aren't known in advance, are defined after all other properties.
+ *
+ * @private
+ * @param {PropsModel} propsModel The model to define the properties on.
+ * @param {Object<string, propSchema>} schema The schema.
+ * @returns {Object<string, string>} The access level of each property in the schema.
+ * @throws {Error} If the schema is invalid, listing every problem found. Nothing is defined in that case.
+ */
+export function defineFromSchema (propsModel, schema) {
+  const problems = []
+  const dependencies = new Map()
+  Object.entries(schema).forEach(([propName, spec]) => {
+    const kind = spec.kind || 'primary'
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_ACCESS, kind)) {
+      problems.push(`'${propName}' has unknown kind '${kind}'`)
+      return
+    }
+    if (spec.access && !ACCESS_LEVELS.includes(spec.access)) {
+      problems.push(`'${propName}' has unknown access level '${spec.access}'`)
+    }
+    if (kind === 'view' && typeof spec.viewOf !== 'string') {
+      problems.push(`view '${propName}' does not specify viewOf`)
+      return
+    }
+    const dependsOn = kind === 'view' ? [spec.viewOf] : (kind === 'computed' ? [] : spec.dependsOn || [])
+    dependsOn
+      .filter((dep) => !Object.prototype.hasOwnProperty.call(schema, dep) && !propsModel._props[dep])
+      .forEach((dep) => problems.push(`'${propName}' depends on unknown property '${dep}'`))
+    dependencies.set(propName, dependsOn.filter((dep) => Object.prototype.hasOwnProperty.call(schema, dep)))
+  })
+  const [order, cycles] = sortDefinitions(dependencies)
+  cycles.forEach((cycle) => problems.push(`circular dependency ${cycle.map((propName) => `'${propName}'`).join(' -> ')}`))
+  if (problems.length) {
+    throw new Error(`Invalid schema: ${problems.join('; ')}`)
+  }
+  const computed = Object.keys(schema).filter((propName) => schema[propName].kind === 'computed')
+  order.filter((propName) => !computed.includes(propName))
+    .concat(computed)
+    .forEach((propName) => defineProp(propsModel, propName, schema[propName]))
+  return Object.entries(schema).reduce((access, [propName, spec]) => {
+    access[propName] = spec.access || DEFAULT_ACCESS[spec.kind || 'primary']
+    return access
+  }, {})
+}
+
+function defineProp (propsModel, propName, spec) {
+  const options = PROP_OPTION_KEYS
+    .filter((key) => typeof spec[key] !== 'undefined')
+    .reduce((o, key) => {
+      o[key] = spec[key]
+      return o
+    }, {})
+  switch (spec.kind || 'primary') {
+    case 'primary':
+      propsModel.defineProp(propName, spec.initialValue, options)
+      break
+
+    case 'list':
+      propsModel.defineListProp(propName, spec.initialValue, options)
+      break
+
+    case 'map':
+      propsModel.defineMapProp(propName, spec.initialValue, options)
+      break
+
+    case 'derived':
+      propsModel.defineDerivedProp(propName, spec.dependsOn, spec.calculate, spec.initialValue, options)
+      break
+
+    case 'async':
+      propsModel.defineAsyncDerivedProp(propName, spec.dependsOn, spec.calculate, { ...options, initialValue: spec.initialValue })
+      break
+
+    case 'computed':
+      propsModel.defineComputed(propName, spec.calculate, options)
+      break
+
+    case 'view':
+      if (typeof spec.property !== 'undefined') {
+        propsModel.defineViewOfObjectProp(propName, spec.viewOf, spec.property, options)
+      } else if (typeof spec.index !== 'undefined') {
+        propsModel.defineViewOfArrayProp(propName, spec.viewOf, spec.index, options)
+      } else if (typeof spec.path !== 'undefined') {
+        propsModel.defineViewOfPath(propName, spec.viewOf, spec.path, { ...options, missing: spec.missing })
+      } else {
+        propsModel.definePropView(propName, spec.viewOf, spec.calculate, spec.reduce, options)
+      }
+      break
+  }
+}
+
+/**
+ * Sort the given properties so that each comes after all of its dependencies, and find any cycles.
+ *
+ * @param {Map<string, Array<string>>} dependencies Maps each property name to the names of the properties it depends on.
+ * @returns {Array} A two-tuple: the sorted names (excluding any involved in cycles), and an array of the cycles found,
+ * each given as an array of property names starting and ending with the same name.
+ */
+function sortDefinitions (dependencies) {
+  const order = []
+  const cycles = []
+  const state = new Map()
+  const stack = []
+  const visit = (propName) => {
+    if (state.get(propName) === 'done') {
+      return true
+    }
+    if (state.get(propName) === 'visiting') {
+      cycles.push([...stack.slice(stack.indexOf(propName)), propName])
+      return false
+    }
+    state.set(propName, 'visiting')
+    stack.push(propName)
+    const acyclic = dependencies.get(propName).map(visit).every(Boolean)
+    stack.pop()
+    state.set(propName, 'done')
+    if (acyclic) {
+      order.push(propName)
+    }
+    return acyclic
+  }
+  Array.from(dependencies.keys()).forEach(visit)
+  return [order, cycles]
+}
+
+/**
+ * Describes a single property in a schema for [PropsModel.fromSchema()]{@link PropsModel.fromSchema}. Apart from the
+ * functions, everything in a schema is plain data, so the schema can be serialized (functions will simply be
+ * dropped by `JSON.stringify`) to generate documentation for the model, for instance.
+ *
+ * In addition to the properties listed here, any of the {@link propOptions} can be given, as appropriate for the
+ * kind of property.
+ *
+ * @typedef {object} propSchema
+ * @property {string} [kind='primary'] One of `'primary'`, `'list'`, `'map'`, `'derived'`, `'view'`, `'async'`, or `'computed'`,
+ * corresponding to [defineProp()]{@link PropsModel#defineProp}, [defineListProp()]{@link PropsModel#defineListProp},
+ * [defineMapProp()]{@link PropsModel#defineMapProp},
+ * [defineDerivedProp()]{@link PropsModel#defineDerivedProp}, [definePropView()]{@link PropsModel#definePropView},
+ * [defineAsyncDerivedProp()]{@link PropsModel#defineAsyncDerivedProp}, and [defineComputed()]{@link PropsModel#defineComputed},
+ * respectively.
+ * @property {string} [description] A description of the property, for documentation. It is otherwise ignored.
+ * @property {string} [access] The access level of the property in the API returned by
+ * [getSchemaApi()]{@link PropsModel#getSchemaApi}: one of `'readwrite'`, `'readonly'`, or `'none'`. The default is
+ * `'readwrite'` for primary properties, list and map properties, and views, and `'readonly'` for everything else.
+ * @property {*} [initialValue] For primary, list, map, derived, and async properties, the initial value.
+ * @property {Array<string>} [dependsOn] For derived and async properties, the names of the properties they depend on.
+ * @property {function} [calculate] For derived, async, and computed properties, the function that calculates the value. For
+ * views, the function that calculates the view value, if none of `property`, `index`, or `path` is given.
+ * @property {string} [viewOf] For views, the name of the base property.
+ * @property {string} [property] For views, the name of the property of the base value that is viewed, as for
+ * [defineViewOfObjectProp()]{@link PropsModel#defineViewOfObjectProp}.
+ * @property {number} [index] For views, the index of the base array that is viewed, as for
+ * [defineViewOfArrayProp()]{@link PropsModel#defineViewOfArrayProp}.
+ * @property {Array<string|number>} [path] For views, the path to the viewed value within the base value, as for
+ * [defineViewOfPath()]{@link PropsModel#defineViewOfPath}.
+ * @property {string} [missing] For views that give `path`, the policy for missing nodes along the path.
+ * @property {function} [reduce] For views that give `calculate`, the function used to update the base value.
+ */
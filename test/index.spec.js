@@ -1,8 +1,9 @@
 /* eslint-env mocha */
 /* eslint no-unused-expressions:0 */
+/* global AbortController, BigInt, EventTarget */
 
 // Module under test
-import PropsModel, { PropsModel as NamedImport } from '../src'
+import PropsModel, { PropsModel as NamedImport, comparators } from '../src'
 
 // Support modules
 import chai, { expect } from 'chai'
@@ -12,6 +13,9 @@ import sinonChai from 'sinon-chai'
 
 chai.use(sinonChai)
 
+// Some tests need globals (like AbortController) that older supported versions of node don't provide; skip them there.
+const itWithGlobal = (...globalNames) => globalNames.every((globalName) => typeof global[globalName] === 'function') ? it : it.skip
+
 describe('The props-model package', () => {
   describe('import options', () => {
     const requiredModule = require('../src')
@@ -735,4 +739,3304 @@ describe('The props-model package', () => {
       expect(new Set(spy.firstCall.args[0])).to.deep.equal(new Set(['e', 'e-2']))
     })
   })
+
+  describe('disposing listeners', () => {
+    it('should stop invoking an onAny handler once the returned disposer is called', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('foo', 1)
+      propModel.defineProp('bar', 2)
+      const handler = sinon.spy()
+      const dispose = propModel.onAny(['foo', 'bar'], handler)
+
+      // when
+      propModel.set('foo', 10)
+      dispose()
+      propModel.set('foo', 11)
+      propModel.set('bar', 12)
+
+      // then
+      expect(handler).to.have.been.calledOnce
+      expect(handler).to.have.been.calledWith('foo', 10, 1)
+    })
+
+    it('should attach a disposer to the utilizer returned by createChangeHandler', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('foo', 1)
+      const handler = sinon.spy()
+      const utilizer = propModel.getStandardPublicApi().createChangeHandler(['foo'], handler)
+
+      // when
+      utilizer.dispose()
+      propModel.set('foo', 10)
+
+      // then
+      expect(handler).to.not.have.been.called
+      expect(utilizer()).to.equal(undefined)
+      expect(handler).to.have.been.calledOnceWith(10)
+    })
+
+    itWithGlobal('AbortController')('should remove listeners when the given AbortSignal is aborted', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('foo', 1)
+      const controller = new AbortController()
+      const changeHandler = sinon.spy()
+      const chainHandler = sinon.spy()
+      propModel.onAny(['foo'], changeHandler, { signal: controller.signal })
+      propModel.onPropChainComplete(chainHandler, { signal: controller.signal })
+
+      // when
+      controller.abort()
+      propModel.set('foo', 10)
+
+      // then
+      expect(changeHandler).to.not.have.been.called
+      expect(chainHandler).to.not.have.been.called
+    })
+
+    it('should remove all listeners, including internal ones, from the emitter on dispose', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('foo', [1, 2])
+      propModel.defineDerivedProp('bar', ['foo'], ([x]) => x)
+      propModel.defineViewOfArrayProp('foo-1', 'foo', 1)
+      propModel.onAny(['bar'], () => {})
+      propModel.onPropChainComplete(() => {})
+      propModel.getStandardPrivateApi().createChangeHandler(['foo'], () => {})
+
+      // when
+      propModel.dispose()
+
+      // then
+      expect(emitter.eventNames()).to.deep.equal([])
+    })
+  })
+
+  describe('propagation', () => {
+    it('should recalculate a derived property only once, with settled inputs, in a diamond dependency', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      const calculateD = sinon.spy((b, c) => `${b}:${c}`)
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('b', ['a'], a => a * 2)
+      propModel.defineDerivedProp('c', ['a'], a => a * 3)
+      propModel.defineDerivedProp('d', ['b', 'c'], calculateD)
+      const dListener = sinon.spy()
+      emitter.on('d-changed', dListener)
+      calculateD.resetHistory()
+
+      // when
+      propModel.set('a', 10)
+
+      // then
+      expect(calculateD).to.have.been.calledOnceWith(20, 30)
+      expect(dListener).to.have.been.calledOnceWith('d', '20:30', '2:3')
+    })
+
+    it('should fire change events only after all derived values have settled', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('b', ['a'], a => a + 1)
+      propModel.defineDerivedProp('c', ['b'], b => b + 1)
+      const observed = []
+      ;['a', 'b', 'c'].forEach((propName) => {
+        emitter.on(`${propName}-changed`, () => observed.push([propName, propModel.getAll()]))
+      })
+
+      // when
+      propModel.set('a', 5)
+
+      // then
+      expect(observed).to.deep.equal([
+        ['a', { a: 5, b: 6, c: 7 }],
+        ['b', { a: 5, b: 6, c: 7 }],
+        ['c', { a: 5, b: 6, c: 7 }]
+      ])
+    })
+
+    it('should not recalculate derived properties whose dependencies did not change', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      const calculator = sinon.spy(x => x)
+      propModel.defineProp('a', 1, () => {}, () => false)
+      propModel.defineDerivedProp('b', ['a'], calculator)
+      calculator.resetHistory()
+
+      // when
+      propModel.set('a', 2)
+
+      // then
+      expect(calculator).to.not.have.been.called
+    })
+
+    it('should allow multiple views of the same base property to be set together', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('foo', { x: 1, y: 2 })
+      propModel.defineViewOfObjectProp('foo-x', 'foo', 'x')
+      propModel.defineViewOfObjectProp('foo-y', 'foo', 'y')
+
+      // when
+      propModel.set({ 'foo-x': 10, 'foo-y': 20 })
+
+      // then
+      expect(propModel.get('foo')).to.deep.equal({ x: 10, y: 20 })
+      expect(propModel.get('foo-x')).to.equal(10)
+      expect(propModel.get('foo-y')).to.equal(20)
+    })
+  })
+
+  describe('transactions', () => {
+    it('should defer derived calculation and change events until the transaction completes', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 2)
+      propModel.defineDerivedProp('sum', ['a', 'b'], (a, b) => a + b)
+      const listener = sinon.spy()
+      const chainListener = sinon.spy()
+      ;['a', 'b', 'sum'].forEach((propName) => emitter.on(`${propName}-changed`, listener))
+      propModel.onPropChainComplete(chainListener)
+
+      // when
+      const result = propModel.transaction(() => {
+        propModel.set('a', 10)
+        if (propModel.get('a') > 5) {
+          propModel.set('b', 20)
+        }
+        expect(listener).to.not.have.been.called
+        expect(propModel.get('sum')).to.equal(3)
+        return 'result'
+      })
+
+      // then
+      expect(result).to.equal('result')
+      expect(propModel.get('sum')).to.equal(30)
+      expect(listener).to.have.been.calledThrice
+      expect(listener).to.have.been.calledWith('a', 10, 1)
+      expect(listener).to.have.been.calledWith('b', 20, 2)
+      expect(listener).to.have.been.calledWith('sum', 30, 3)
+      expect(chainListener).to.have.been.calledOnce
+      expect(new Set(chainListener.firstCall.args[0])).to.deep.equal(new Set(['a', 'b', 'sum']))
+    })
+
+    it('should fire a single event from the pre-transaction value for a property set multiple times', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 1)
+      const listener = sinon.spy()
+      emitter.on('a-changed', listener)
+      emitter.on('b-changed', listener)
+
+      // when
+      propModel.transaction(() => {
+        propModel.set('a', 2)
+        propModel.set('a', 3)
+        propModel.set('b', 2)
+        propModel.set('b', 1)
+      })
+
+      // then
+      expect(listener).to.have.been.calledOnceWith('a', 3, 1)
+    })
+
+    it('should roll back all values and fire no events if the function throws', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', [1, 2])
+      propModel.defineViewOfArrayProp('b-0', 'b', 0)
+      propModel.defineDerivedProp('sum', ['a', 'b-0'], (a, b0) => a + b0)
+      const chainListener = sinon.spy()
+      propModel.onPropChainComplete(chainListener)
+
+      // expect
+      expect(() => propModel.transaction(() => {
+        propModel.set('a', 10)
+        propModel.set('b-0', 10)
+        throw new Error('Test Error')
+      })).to.throw('Test Error')
+      expect(propModel.getAll()).to.deep.equal({ a: 1, b: [1, 2], 'b-0': 1, sum: 2 })
+      expect(chainListener).to.not.have.been.called
+
+      // when
+      propModel.set('a', 5)
+
+      // then
+      expect(chainListener).to.have.been.calledOnce
+      expect(new Set(chainListener.firstCall.args[0])).to.deep.equal(new Set(['a', 'sum']))
+    })
+
+    it('should only roll back the changes of a failed nested transaction', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 1)
+      propModel.defineDerivedProp('sum', ['a', 'b'], (a, b) => a + b)
+
+      // when
+      propModel.transaction(() => {
+        propModel.set('a', 2)
+        try {
+          propModel.transaction(() => {
+            propModel.set('b', 2)
+            throw new Error('Test Error')
+          })
+        } catch (error) {}
+      })
+
+      // then
+      expect(propModel.getAll()).to.deep.equal({ a: 2, b: 1, sum: 3 })
+    })
+
+    it('should support asynchronous functions', async () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      const listener = sinon.spy()
+      emitter.on('a-changed', listener)
+
+      // when
+      const promise = propModel.transaction(async (tx) => {
+        tx.set('a', 2)
+        await Promise.resolve()
+        tx.set('a', 3)
+        return 'result'
+      })
+
+      // then
+      expect(listener).to.not.have.been.called
+      expect(await promise).to.equal('result')
+      expect(listener).to.have.been.calledOnceWith('a', 3, 1)
+    })
+
+    it('should roll back when an asynchronous function rejects', async () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      const listener = sinon.spy()
+      emitter.on('a-changed', listener)
+
+      // when
+      const error = await propModel.transaction(async () => {
+        propModel.set('a', 2)
+        await Promise.resolve()
+        throw new Error('Test Error')
+      }).catch((e) => e)
+
+      // then
+      expect(error.message).to.equal('Test Error')
+      expect(propModel.get('a')).to.equal(1)
+      expect(listener).to.not.have.been.called
+    })
+
+    it('should propagate other changes while an asynchronous transaction is in progress, and keep them on rollback', async () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 1)
+      propModel.defineDerivedProp('sum', ['a', 'b'], (a, b) => a + b)
+      const listener = sinon.spy()
+      const aListener = sinon.spy()
+      emitter.on('b-changed', listener)
+      emitter.on('a-changed', aListener)
+      let release
+      const promise = propModel.transaction(async (tx) => {
+        tx.set('a', 2)
+        await new Promise((resolve) => { release = resolve })
+        tx.set('a', 3)
+        throw new Error('Test Error')
+      })
+
+      // when
+      propModel.set('b', 10)
+      const during = propModel.get('sum')
+      release()
+      const error = await promise.catch((e) => e)
+
+      // then
+      expect(listener).to.have.been.calledOnceWith('b', 10, 1)
+      expect(during).to.equal(12)
+      expect(error.message).to.equal('Test Error')
+      expect(propModel.getAll(['a', 'b', 'sum'])).to.deep.equal({ a: 1, b: 10, sum: 11 })
+      expect(aListener).to.not.have.been.called
+    })
+
+    it('should let a property set elsewhere take it over from an asynchronous transaction', async () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 1)
+      const listener = sinon.spy()
+      emitter.on('a-changed', listener)
+      emitter.on('b-changed', listener)
+      let release
+      const promise = propModel.transaction(async (tx) => {
+        tx.set({ a: 2, b: 2 })
+        await new Promise((resolve) => { release = resolve })
+      })
+
+      // when
+      propModel.set('a', 5)
+      release()
+      await promise
+
+      // then
+      expect(listener.args.map((args) => args.slice(0, 3))).to.deep.equal([['a', 5, 1], ['b', 2, 1]])
+      expect(propModel.getAll(['a', 'b'])).to.deep.equal({ a: 5, b: 2 })
+    })
+
+    it('should apply async derived results that arrive during an asynchronous transaction once it has settled', async () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      let resolveCalculation
+      propModel.defineAsyncDerivedProp('b', ['a'], (a) => new Promise((resolve) => { resolveCalculation = () => resolve(a * 10) }))
+      await Promise.resolve()
+      resolveCalculation()
+      await new Promise((resolve) => setTimeout(resolve))
+      propModel.set('a', 2)
+
+      // when
+      const error = await propModel.transaction(async () => {
+        resolveCalculation()
+        await new Promise((resolve) => setTimeout(resolve))
+        throw new Error('Test Error')
+      }).catch((e) => e)
+      await new Promise((resolve) => setTimeout(resolve))
+
+      // then
+      expect(error.message).to.equal('Test Error')
+      expect(propModel.get('bPending')).to.equal(false)
+      expect(propModel.get('b')).to.equal(20)
+    })
+  })
+
+  describe('history', () => {
+    it('should undo and redo changes to primary properties, updating derived properties', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 2)
+      propModel.defineDerivedProp('sum', ['a', 'b'], (a, b) => a + b)
+      propModel.enableHistory()
+      propModel.set('a', 10)
+      propModel.set('b', 20)
+
+      // when
+      propModel.undo()
+
+      // then
+      expect(propModel.getAll(['a', 'b', 'sum'])).to.deep.equal({ a: 10, b: 2, sum: 12 })
+
+      // when
+      propModel.undo()
+
+      // then
+      expect(propModel.getAll(['a', 'b', 'sum'])).to.deep.equal({ a: 1, b: 2, sum: 3 })
+      expect(propModel.undo()).to.equal(false)
+
+      // when
+      propModel.redo()
+
+      // then
+      expect(propModel.getAll(['a', 'b', 'sum'])).to.deep.equal({ a: 10, b: 2, sum: 12 })
+    })
+
+    it('should undo all the properties set in a single batch together', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('foo', [1, 2])
+      propModel.defineProp('bar', 'x')
+      propModel.defineViewOfArrayProp('foo-0', 'foo', 0)
+      propModel.enableHistory()
+      propModel.set({ 'foo-0': 5, bar: 'y' })
+
+      // when
+      propModel.undo()
+
+      // then
+      expect(propModel.getAll(['foo', 'foo-0', 'bar'])).to.deep.equal({ foo: [1, 2], 'foo-0': 1, bar: 'x' })
+      expect(propModel.get('canUndo')).to.equal(false)
+      expect(propModel.get('canRedo')).to.equal(true)
+    })
+
+    it('should refuse to remove its properties', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      propModel.enableHistory()
+
+      // expect
+      expect(() => propModel.undefineProp('canUndo')).to.throw('Cannot undefine property \'canUndo\' while history is enabled')
+      expect(() => propModel.undefineProp('canRedo')).to.throw('Cannot undefine property \'canRedo\' while history is enabled')
+      propModel.set('a', 2)
+      expect(propModel.get('canUndo')).to.equal(true)
+    })
+
+    it('should not record the definition of properties', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.enableHistory()
+
+      // when
+      propModel.defineProp('a', 1)
+
+      // then
+      expect(propModel.get('canUndo')).to.equal(false)
+      expect(propModel.undo()).to.equal(false)
+      expect(propModel.get('a')).to.equal(1)
+    })
+
+    it('should not carry the changes of a chain a listener threw in over into the next chain', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 1)
+      propModel.enableHistory()
+      emitter.once('a-changed', () => {
+        throw new Error('Test Error')
+      })
+      const chainListener = sinon.spy()
+      propModel.onPropChainComplete(chainListener)
+
+      // when
+      expect(() => propModel.set('a', 2)).to.throw('Test Error')
+      propModel.set('b', 2)
+      propModel.undo()
+
+      // then
+      expect(chainListener.firstCall.args[0]).to.deep.equal(['b', 'canUndo'])
+      expect(propModel.getAll(['a', 'b'])).to.deep.equal({ a: 2, b: 1 })
+    })
+
+    it('should maintain canUndo and canRedo properties and fire history-changed events', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      propModel.enableHistory()
+      const historyListener = sinon.spy()
+      const canUndoListener = sinon.spy()
+      emitter.on('history-changed', historyListener)
+      emitter.on('canUndo-changed', canUndoListener)
+
+      // expect
+      expect(propModel.get('canUndo')).to.equal(false)
+      expect(propModel.get('canRedo')).to.equal(false)
+
+      // when
+      propModel.set('a', 2)
+
+      // then
+      expect(propModel.get('canUndo')).to.equal(true)
+      expect(canUndoListener).to.have.been.calledOnceWith('canUndo', true, false)
+      expect(historyListener).to.have.been.calledOnceWith({ canUndo: true, canRedo: false })
+
+      // when
+      propModel.undo()
+
+      // then
+      expect(propModel.get('canUndo')).to.equal(false)
+      expect(propModel.get('canRedo')).to.equal(true)
+      expect(historyListener).to.have.been.calledWith({ canUndo: false, canRedo: true })
+
+      // when
+      propModel.set('a', 3)
+
+      // then
+      expect(propModel.get('canRedo')).to.equal(false)
+    })
+
+    it('should discard the oldest entries beyond the limit', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 0)
+      propModel.enableHistory({ limit: 2 })
+      propModel.set('a', 1)
+      propModel.set('a', 2)
+      propModel.set('a', 3)
+
+      // when
+      while (propModel.undo()) {}
+
+      // then
+      expect(propModel.get('a')).to.equal(1)
+    })
+
+    it('should throw if history is not enabled', () => {
+      const propModel = new PropsModel(new EventEmitter())
+      expect(() => propModel.undo()).to.throw('History is not enabled')
+    })
+  })
+
+  describe('restoring snapshots', () => {
+    it('should restore primary values from a snapshot and recalculate derived properties', () => {
+      // given
+      const source = new PropsModel(new EventEmitter())
+      const define = (propModel) => propModel
+        .defineProp('foo', 10)
+        .defineProp('_bar', 'bar-value')
+        .defineDerivedProp('baz', ['foo', '_bar'], (foo, bar) => `${bar}:${foo}`)
+      define(source)
+      source.set({ foo: 15, _bar: 'new-bar-value' })
+      const propModel = new PropsModel(new EventEmitter())
+      define(propModel)
+      const chainListener = sinon.spy()
+      propModel.onPropChainComplete(chainListener)
+
+      // when
+      propModel.restore({ foo: 15, _bar: 'new-bar-value' })
+
+      // then
+      expect(propModel.toJSON()).to.deep.equal(source.toJSON())
+      expect(chainListener).to.have.been.calledOnce
+    })
+
+    it('should reject unknown and derived keys in strict mode without changing anything', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('foo', 10)
+      propModel.defineDerivedProp('bar', ['foo'], foo => foo * 2)
+
+      // expect
+      expect(() => propModel.restore({ foo: 1, bar: 5, baz: 3 })).to.throw(
+        'Cannot restore snapshot with derived property \'bar\', unknown property \'baz\''
+      )
+      expect(propModel.getAll()).to.deep.equal({ foo: 10, bar: 20 })
+    })
+
+    it('should ignore unknown and derived keys in lenient mode', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('foo', 10)
+      propModel.defineDerivedProp('bar', ['foo'], foo => foo * 2)
+
+      // when
+      propModel.restore({ foo: 1, bar: 5, baz: 3 }, { strict: false })
+
+      // then
+      expect(propModel.getAll()).to.deep.equal({ foo: 1, bar: 2 })
+    })
+
+    it('should validate every value before restoring any of them', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('foo', 10)
+      propModel.defineProp('bar', 20, (value) => {
+        if (value < 0) {
+          throw new Error('Test Error')
+        }
+      })
+
+      // expect
+      expect(() => propModel.restore({ foo: 1, bar: -1 })).to.throw('Test Error')
+      expect(propModel.getAll()).to.deep.equal({ foo: 10, bar: 20 })
+    })
+
+    it('should create a model from a definition and a snapshot', () => {
+      // when
+      const propModel = PropsModel.fromJSON(
+        new EventEmitter(),
+        (model) => model
+          .defineProp('foo', 10)
+          .defineDerivedProp('bar', ['foo'], foo => foo * 2),
+        { foo: 4, bar: 100 },
+        { strict: false }
+      )
+
+      // then
+      expect(propModel).to.be.instanceOf(PropsModel)
+      expect(propModel.getAll()).to.deep.equal({ foo: 4, bar: 8 })
+    })
+  })
+
+  describe('serialization', () => {
+    it('should round-trip rich values through toJSON and restore using built-in codecs', () => {
+      // given
+      const define = (propModel) => propModel
+        .defineProp('when', new Date(0), { codec: 'date' })
+        .defineProp('lookup', new Map(), { codec: 'map' })
+        .defineProp('tags', new Set(), { codec: 'set' })
+        .defineProp('big', BigInt(0), { codec: 'bigint' })
+        .defineProp('nothing', null, { codec: 'date' })
+      const source = define(new PropsModel(new EventEmitter()))
+      source.set({
+        when: new Date('2020-02-03T04:05:06.789Z'),
+        lookup: new Map([['a', 1], ['b', 2]]),
+        tags: new Set(['x', 'y']),
+        big: BigInt('12345678901234567890')
+      })
+
+      // when
+      const json = JSON.parse(JSON.stringify(source))
+      const propModel = PropsModel.fromJSON(new EventEmitter(), define, json)
+
+      // then
+      expect(json).to.deep.equal({
+        when: '2020-02-03T04:05:06.789Z',
+        lookup: [['a', 1], ['b', 2]],
+        tags: ['x', 'y'],
+        big: '12345678901234567890',
+        nothing: null
+      })
+      expect(propModel.getAll()).to.deep.equal(source.getAll())
+      expect(propModel.get('when')).to.be.instanceOf(Date)
+    })
+
+    it('should use custom serialize and deserialize hooks, which take precedence over a codec', () => {
+      // given
+      class Point {
+        constructor (x, y) {
+          this.x = x
+          this.y = y
+        }
+      }
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('point', new Point(1, 2), {
+        codec: 'set',
+        serialize: ({ x, y }) => `${x},${y}`,
+        deserialize: (str) => new Point(...str.split(',').map(Number))
+      })
+      propModel.defineDerivedProp('sum', ['point'], ({ x, y }) => x + y, undefined, {
+        serialize: (sum) => `sum=${sum}`
+      })
+
+      // expect
+      expect(propModel.toJSON()).to.deep.equal({ point: '1,2', sum: 'sum=3' })
+
+      // when
+      propModel.restore({ point: '3,4' })
+
+      // then
+      expect(propModel.get('point')).to.be.instanceOf(Point)
+      expect(propModel.get('point')).to.deep.equal(new Point(3, 4))
+      expect(propModel.get('sum')).to.equal(7)
+    })
+
+    it('should reject an unknown codec name', () => {
+      const propModel = new PropsModel(new EventEmitter())
+      expect(() => propModel.defineProp('foo', 1, { codec: 'nope' })).to.throw('Unknown codec \'nope\'')
+    })
+  })
+
+  describe('async derived props', () => {
+    function deferred () {
+      const d = {}
+      d.promise = new Promise((resolve, reject) => {
+        d.resolve = resolve
+        d.reject = reject
+      })
+      return d
+    }
+
+    it('should track pending state and update the value when the calculation completes', async () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      const calculation = deferred()
+      propModel.defineProp('id', 1)
+      propModel.defineAsyncDerivedProp('user', ['id'], () => calculation.promise, { initialValue: 'nobody' })
+      const listener = sinon.spy()
+      emitter.on('user-changed', listener)
+
+      // expect
+      expect(propModel.getAll(['user', 'userPending', 'userError'])).to.deep.equal({
+        user: 'nobody',
+        userPending: true,
+        userError: null
+      })
+
+      // when
+      calculation.resolve('user-1')
+      await new Promise((resolve) => setImmediate(resolve))
+
+      // then
+      expect(propModel.getAll(['user', 'userPending', 'userError'])).to.deep.equal({
+        user: 'user-1',
+        userPending: false,
+        userError: null
+      })
+      expect(listener).to.have.been.calledOnceWith('user', 'user-1', 'nobody')
+    })
+
+    it('should serialize the property and its error before and after a failed calculation', async () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      const calculation = deferred()
+      propModel.defineProp('id', 1)
+      propModel.defineAsyncDerivedProp('user', ['id'], () => calculation.promise)
+
+      // expect
+      expect(propModel.toJSON()).to.deep.equal({ id: 1, user: null, userPending: true, userError: null })
+
+      // when
+      calculation.reject(new TypeError('Not found'))
+      await new Promise((resolve) => setImmediate(resolve))
+
+      // then
+      expect(propModel.toJSON()).to.deep.equal({
+        id: 1,
+        user: null,
+        userPending: false,
+        userError: { name: 'TypeError', message: 'Not found' }
+      })
+    })
+
+    it('should record an error storing the result instead of leaving it unhandled', async () => {
+      // given
+      const unhandled = sinon.spy()
+      process.on('unhandledRejection', unhandled)
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('id', 1)
+      propModel.defineAsyncDerivedProp('user', ['id'], (id) => Promise.resolve(id), {
+        initialValue: 0,
+        valueValidator: (value) => {
+          if (value > 1) {
+            throw new Error('Too big')
+          }
+        }
+      })
+      propModel.defineAsyncDerivedProp('other', ['id'], (id) => Promise.resolve(id))
+      await new Promise((resolve) => setImmediate(resolve))
+      propModel.onAny(['other'], () => {
+        throw new Error('Listener Error')
+      })
+
+      // when
+      propModel.set('id', 2)
+      await new Promise((resolve) => setImmediate(resolve))
+      process.removeListener('unhandledRejection', unhandled)
+
+      // then
+      expect(propModel.getAll(['user', 'userPending'])).to.deep.equal({ user: 1, userPending: false })
+      expect(propModel.get('userError').message).to.equal('Too big')
+      expect(propModel.get('other')).to.equal(2)
+      expect(propModel.get('otherError').message).to.equal('Listener Error')
+      expect(unhandled).not.to.have.been.called
+    })
+
+    itWithGlobal('AbortController')('should abort and ignore superseded calculations', async () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      const calculations = []
+      const signals = []
+      propModel.defineProp('id', 1)
+      propModel.defineAsyncDerivedProp('user', ['id'], (id, signal) => {
+        const calculation = deferred()
+        calculations.push(calculation)
+        signals.push(signal)
+        return calculation.promise
+      })
+
+      // when
+      propModel.set('id', 2)
+      calculations[1].resolve('user-2')
+      calculations[0].resolve('user-1')
+      await new Promise((resolve) => setImmediate(resolve))
+
+      // then
+      expect(signals[0].aborted).to.equal(true)
+      expect(signals[1].aborted).to.equal(false)
+      expect(propModel.get('user')).to.equal('user-2')
+      expect(propModel.get('userPending')).to.equal(false)
+    })
+
+    it('should expose errors and keep the previous value when a calculation fails', async () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      const error = new Error('Test Error')
+      propModel.defineProp('id', 1)
+      propModel.defineAsyncDerivedProp('user', ['id'], async (id) => {
+        if (id === 2) {
+          throw error
+        }
+        return `user-${id}`
+      })
+      await new Promise((resolve) => setImmediate(resolve))
+
+      // when
+      propModel.set('id', 2)
+      await new Promise((resolve) => setImmediate(resolve))
+
+      // then
+      expect(propModel.getAll(['user', 'userPending', 'userError'])).to.deep.equal({
+        user: 'user-1',
+        userPending: false,
+        userError: error
+      })
+    })
+  })
+
+  describe('lazy derived props', () => {
+    it('should not calculate the value until it is read, and cache it until invalidated', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      const calculator = sinon.spy(a => a * 2)
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('b', ['a'], calculator, undefined, { lazy: true })
+
+      // expect
+      expect(calculator).to.not.have.been.called
+      expect(propModel.get('b')).to.equal(2)
+      expect(propModel.get('b')).to.equal(2)
+      expect(calculator).to.have.been.calledOnce
+
+      // when
+      propModel.set('a', 5)
+      propModel.set('a', 6)
+
+      // then
+      expect(calculator).to.have.been.calledOnce
+      expect(propModel.getAll()).to.deep.equal({ a: 6, b: 12 })
+      expect(propModel.toJSON()).to.deep.equal({ a: 6, b: 12 })
+      expect(calculator).to.have.been.calledTwice
+    })
+
+    it('should fire an invalidated event instead of a change event when there are no change listeners', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      const calculator = sinon.spy(a => a * 2)
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('b', ['a'], calculator, undefined, { lazy: true })
+      propModel.defineDerivedProp('c', ['b'], b => b + 1, undefined, { lazy: true })
+      const invalidatedListener = sinon.spy()
+      const chainListener = sinon.spy()
+      emitter.on('b-invalidated', invalidatedListener)
+      emitter.on('c-invalidated', invalidatedListener)
+      propModel.onPropChainComplete(chainListener)
+
+      // when
+      propModel.set('a', 5)
+
+      // then
+      expect(calculator).to.not.have.been.called
+      expect(invalidatedListener).to.have.been.calledTwice
+      expect(invalidatedListener).to.have.been.calledWith('b')
+      expect(invalidatedListener).to.have.been.calledWith('c')
+      expect(chainListener).to.have.been.calledOnceWith(['a'])
+      expect(propModel.get('c')).to.equal(11)
+    })
+
+    it('should calculate on demand and fire change events when there are change listeners', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('b', ['a'], a => a * 2, undefined, { lazy: true })
+      propModel.defineDerivedProp('c', ['b'], b => b + 1, undefined, { lazy: true })
+      const listener = sinon.spy()
+      propModel.get('c')
+      emitter.on('c-changed', listener)
+
+      // when
+      propModel.set('a', 5)
+
+      // then
+      expect(listener).to.have.been.calledOnceWith('c', 11, 3)
+    })
+
+    it('should report the last calculated value as the old value of a dirty property', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('b', ['a'], a => a * 2, undefined, { lazy: true })
+      propModel.defineDerivedProp('c', ['a'], a => a * 3, undefined, { lazy: true })
+      const listener = sinon.spy()
+      propModel.get('b')
+      propModel.set('a', 2)
+      emitter.on('b-changed', listener)
+      emitter.on('c-changed', listener)
+
+      // when
+      propModel.set('a', 3)
+
+      // then
+      expect(listener).to.have.been.calledTwice
+      expect(listener).to.have.been.calledWith('b', 6, 2)
+      expect(listener).to.have.been.calledWith('c', 9, undefined)
+    })
+
+    it('should provide up-to-date values to eager properties that depend on lazy ones', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('b', ['a'], a => a * 2, undefined, { lazy: true })
+      propModel.defineDerivedProp('c', ['b'], b => b + 1)
+
+      // when
+      propModel.set('a', 5)
+
+      // then
+      expect(propModel.get('c')).to.equal(11)
+    })
+  })
+
+  describe('computed props', () => {
+    it('should track the properties read during calculation as dependencies', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 2)
+      propModel.defineComputed('sum', get => get('a') + get('b'))
+      const listener = sinon.spy()
+      emitter.on('sum-changed', listener)
+
+      // when
+      propModel.set('b', 5)
+
+      // then
+      expect(propModel.get('sum')).to.equal(6)
+      expect(listener).to.have.been.calledOnceWith('sum', 6, 3)
+    })
+
+    it('should re-subscribe when the properties read change', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      const calculator = sinon.spy(get => get('useFirst') ? get('first') : get('second'))
+      propModel.defineProp('useFirst', true)
+      propModel.defineProp('first', 'one')
+      propModel.defineProp('second', 'two')
+      propModel.defineComputed('chosen', calculator)
+
+      // when
+      calculator.resetHistory()
+      propModel.set('second', 'TWO')
+
+      // then
+      expect(calculator).to.not.have.been.called
+
+      // when
+      propModel.set('useFirst', false)
+      calculator.resetHistory()
+      propModel.set('first', 'ONE')
+
+      // then
+      expect(calculator).to.not.have.been.called
+      expect(propModel.get('chosen')).to.equal('TWO')
+
+      // when
+      propModel.set('second', 'Two')
+
+      // then
+      expect(propModel.get('chosen')).to.equal('Two')
+    })
+
+    it('should interoperate with derived properties and views without glitches', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      propModel.defineProp('point', { x: 1, y: 2 })
+      propModel.defineViewOfObjectProp('x', 'point', 'x')
+      propModel.defineDerivedProp('twiceY', ['point'], ({ y }) => 2 * y)
+      propModel.defineComputed('label', get => `${get('x')}/${get('twiceY')}`)
+      propModel.defineDerivedProp('shout', ['label'], label => `${label}!`)
+      const listener = sinon.spy()
+      emitter.on('shout-changed', listener)
+
+      // when
+      propModel.set('point', { x: 3, y: 4 })
+
+      // then
+      expect(listener).to.have.been.calledOnceWith('shout', '3/8!', '1/4!')
+    })
+
+    it('should see settled values for newly read dependencies', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('flag', false)
+      propModel.defineDerivedProp('late', ['flag'], flag => `late-${flag}`)
+      propModel.defineComputed('chosen', get => get('flag') ? get('late') : 'none')
+
+      // when
+      propModel.set('flag', true)
+
+      // then
+      expect(propModel.get('chosen')).to.equal('late-true')
+    })
+
+    it('should not allow a computed property to depend on itself', () => {
+      const propModel = new PropsModel(new EventEmitter())
+      expect(() => propModel.defineComputed('foo', get => get('foo'))).to.throw('Computed property \'foo\' cannot depend on itself')
+    })
+  })
+
+  describe('comparators', () => {
+    const { shallowEqual, deepEqual, equalBy, withinEpsilon } = comparators
+
+    it('should compare values shallowly', () => {
+      expect(shallowEqual({ a: 1, b: 'x' }, { a: 1, b: 'x' })).to.equal(true)
+      expect(shallowEqual([1, 2], [1, 2])).to.equal(true)
+      expect(shallowEqual(new Set([1]), new Set([1]))).to.equal(true)
+      expect(shallowEqual({ a: { b: 1 } }, { a: { b: 1 } })).to.equal(false)
+      expect(shallowEqual({ a: 1 }, { a: 1, b: undefined })).to.equal(false)
+      expect(shallowEqual([1, 2], { 0: 1, 1: 2, length: 2 })).to.equal(false)
+    })
+
+    it('should compare values deeply', () => {
+      expect(deepEqual({ a: [1, { b: new Date(5) }] }, { a: [1, { b: new Date(5) }] })).to.equal(true)
+      expect(deepEqual(new Map([['k', { v: 1 }]]), new Map([['k', { v: 1 }]]))).to.equal(true)
+      expect(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] })).to.equal(false)
+      expect(deepEqual(NaN, NaN)).to.equal(true)
+    })
+
+    it('should compare values by key and with a tolerance', () => {
+      expect(equalBy(({ id }) => id)({ id: 1, name: 'a' }, { id: 1, name: 'b' })).to.equal(true)
+      expect(equalBy(({ id }) => id)({ id: 1 }, { id: 2 })).to.equal(false)
+      expect(withinEpsilon(0.01)(0.1 + 0.2, 0.3)).to.equal(true)
+      expect(withinEpsilon(0.01)(0.1, 0.3)).to.equal(false)
+    })
+
+    it('should allow a comparator to be chosen per property by name or function', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter)
+      const listener = sinon.spy()
+      emitter.on('point-changed', listener)
+      emitter.on('user-changed', listener)
+      emitter.on('point-x-changed', listener)
+      propModel.defineProp('point', { x: 1, y: 2 }, { equals: 'shallow' })
+      propModel.defineProp('user', { id: 7, name: 'Ann' }, { equals: equalBy((user) => user && user.id) })
+      propModel.defineViewOfObjectProp('point-x', 'point', 'x', 'deep')
+      listener.resetHistory()
+
+      // when
+      propModel.set('point', { x: 1, y: 2 })
+      propModel.set('user', { id: 7, name: 'Anne' })
+      propModel.set('point', { x: 1, y: 3 })
+
+      // then
+      expect(listener).to.have.been.calledOnceWith('point', { x: 1, y: 3 }, { x: 1, y: 2 })
+    })
+
+    it('should use the model-wide default comparator', () => {
+      // given
+      const emitter = new EventEmitter()
+      const propModel = new PropsModel(emitter, { equals: 'deep' })
+      const listener = sinon.spy()
+      propModel.defineProp('foo', { a: [1] })
+      propModel.defineProp('bar', { a: [1] }, { equals: 'strict' })
+      emitter.on('foo-changed', listener)
+      emitter.on('bar-changed', listener)
+
+      // when
+      propModel.set({ foo: { a: [1] }, bar: { a: [1] } })
+
+      // then
+      expect(listener).to.have.been.calledOnceWith('bar', { a: [1] }, { a: [1] })
+    })
+
+    it('should reject an unknown comparator name', () => {
+      expect(() => new PropsModel(new EventEmitter(), { equals: 'nope' })).to.throw('Unknown comparator \'nope\'')
+    })
+  })
+
+  describe('schemas', () => {
+    it('should define properties from a schema in dependency order', () => {
+      // when
+      const propModel = PropsModel.fromSchema(new EventEmitter(), {
+        label: { kind: 'computed', calculate: get => `${get('area')}@${get('length')}` },
+        area: { kind: 'derived', dependsOn: ['length', 'width'], calculate: (length, width) => length * width },
+        length: { kind: 'view', viewOf: 'size', property: 'length' },
+        width: { kind: 'view', viewOf: 'size', property: 'width' },
+        first: { kind: 'view', viewOf: 'tags', index: 0 },
+        tags: { initialValue: ['a', 'b'] },
+        size: { initialValue: { length: 10, width: 20 }, equals: 'shallow' }
+      })
+
+      // then
+      expect(propModel.getAll()).to.deep.equal({
+        size: { length: 10, width: 20 },
+        length: 10,
+        width: 20,
+        area: 200,
+        tags: ['a', 'b'],
+        first: 'a',
+        label: '200@10'
+      })
+
+      // when
+      propModel.set('length', 3)
+
+      // then
+      expect(propModel.get('label')).to.equal('60@3')
+    })
+
+    it('should pass validators and options through to the property definitions', () => {
+      // given
+      const emitter = new EventEmitter()
+      const listener = sinon.spy()
+      emitter.on('size-changed', listener)
+      const propModel = PropsModel.fromSchema(emitter, {
+        size: {
+          initialValue: { length: 1 },
+          equals: 'deep',
+          valueValidator: ({ length }) => {
+            if (length < 0) {
+              throw new Error('Test Error')
+            }
+          }
+        }
+      })
+      listener.resetHistory()
+
+      // expect
+      expect(() => propModel.set('size', { length: -1 })).to.throw('Test Error')
+      propModel.set('size', { length: 1 })
+      expect(listener).to.not.have.been.called
+    })
+
+    it('should validate values written through views', () => {
+      // given
+      const propModel = PropsModel.fromSchema(new EventEmitter(), {
+        size: { initialValue: { length: 10, width: 20 } },
+        length: {
+          kind: 'view',
+          viewOf: 'size',
+          property: 'length',
+          validation: 'soft',
+          valueValidator: length => {
+            if (length < 0) {
+              throw new Error('Negative length')
+            }
+          }
+        }
+      })
+
+      // when
+      propModel.set('length', 5)
+
+      // then
+      expect(() => propModel.set('length', -5)).to.throw('Negative length')
+      expect(() => propModel.set({ size: { length: 1, width: 1 }, length: -1 })).to.throw('Negative length')
+      expect(propModel.get('size')).to.deep.equal({ length: 5, width: 20 })
+      expect(propModel.isValid('length')).to.equal(true)
+    })
+
+    it('should report all unknown dependencies and cycles together', () => {
+      expect(() => PropsModel.fromSchema(new EventEmitter(), {
+        a: { kind: 'derived', dependsOn: ['b', 'nope'], calculate: () => 1 },
+        b: { kind: 'derived', dependsOn: ['c'], calculate: () => 1 },
+        c: { kind: 'view', viewOf: 'a', calculate: () => 1, reduce: () => 1 },
+        d: { kind: 'derived', dependsOn: ['missing'], calculate: () => 1 },
+        e: { kind: 'strange' }
+      })).to.throw(
+        'Invalid schema: \'a\' depends on unknown property \'nope\'; \'d\' depends on unknown property \'missing\'; ' +
+        '\'e\' has unknown kind \'strange\'; circular dependency \'a\' -> \'b\' -> \'c\' -> \'a\''
+      )
+    })
+
+    it('should provide an API that enforces the access levels from the schema', () => {
+      // given
+      const propModel = PropsModel.fromSchema(new EventEmitter(), {
+        size: { initialValue: 2, access: 'readonly' },
+        secret: { initialValue: 'x', access: 'none' },
+        name: { initialValue: 'n' },
+        double: { kind: 'derived', dependsOn: ['size'], calculate: size => size * 2 }
+      })
+      const api = propModel.getSchemaApi()
+
+      // expect
+      api.set('name', 'm')
+      expect(api.get('name')).to.equal('m')
+      expect(api.get('double')).to.equal(4)
+      expect(() => api.set('size', 3)).to.throw('Write access to size is not allowed')
+      expect(() => api.set('double', 3)).to.throw('Write access to double is not allowed')
+      expect(() => api.get('secret')).to.throw('Requested access to property \'secret\' is not allowed')
+      expect(api.toJSON()).to.deep.equal({ size: 2, name: 'm', double: 4 })
+    })
+  })
+
+  describe('soft validation', () => {
+    const isPositive = value => {
+      if (value <= 0) {
+        throw new Error('Must be positive')
+      }
+    }
+
+    it('should store invalid values and record their errors', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter(), { validation: 'soft' })
+      propModel.defineProp('quantity', 1, isPositive)
+      const listener = sinon.spy()
+      propModel.onAny(['quantity'], listener)
+
+      // when
+      propModel.set('quantity', -3)
+
+      // then
+      expect(propModel.get('quantity')).to.equal(-3)
+      expect(listener).to.have.been.calledOnceWith('quantity', -3, 1)
+      expect(propModel.isValid('quantity')).to.equal(false)
+      expect(propModel.getErrors().quantity.message).to.equal('Must be positive')
+
+      // when
+      propModel.set('quantity', 2)
+
+      // then
+      expect(propModel.isValid('quantity')).to.equal(true)
+      expect(propModel.getErrors()).to.deep.equal({})
+    })
+
+    it('should allow soft validation per property', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('soft', 1, { valueValidator: isPositive, validation: 'soft' })
+      propModel.defineProp('strict', 1, isPositive)
+
+      // expect
+      expect(() => propModel.set({ soft: -1, strict: -1 })).to.throw('Must be positive')
+      expect(propModel.getAll()).to.deep.equal({ soft: 1, strict: 1 })
+      propModel.set({ soft: -1, strict: 2 })
+      expect(propModel.getAll()).to.deep.equal({ soft: -1, strict: 2 })
+      expect(Object.keys(propModel.getErrors())).to.deep.equal(['soft'])
+      expect(() => propModel.defineProp('other', 1, { validation: 'lenient' })).to.throw('Unknown validation mode \'lenient\'')
+    })
+
+    it('should fire errors-changed only when the errors change', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter, { validation: 'soft' })
+      propModel.defineProp('a', 1, isPositive)
+      propModel.defineProp('b', 1, isPositive)
+      const listener = sinon.spy()
+      eventEmitter.on('errors-changed', listener)
+
+      // when
+      propModel.set({ a: -1, b: -1 })
+      propModel.set('a', -2)
+      propModel.set('b', 3)
+
+      // then
+      expect(listener).to.have.been.calledTwice
+      expect(Object.keys(listener.firstCall.args[0])).to.deep.equal(['a', 'b'])
+      expect(Object.keys(listener.secondCall.args[0])).to.deep.equal(['a'])
+    })
+
+    it('should provide the errors as a property that derived properties can depend on', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter(), { validation: 'soft' })
+      propModel.defineProp('quantity', 1, isPositive)
+      propModel.defineErrorsProp()
+      propModel.defineDerivedProp('canSubmit', ['validationErrors'], errors => Object.keys(errors).length === 0)
+      const listener = sinon.spy()
+      propModel.onAny(['validationErrors', 'canSubmit'], listener)
+
+      // when
+      propModel.set('quantity', 0)
+
+      // then
+      expect(propModel.get('validationErrors').quantity.message).to.equal('Must be positive')
+      expect(propModel.get('canSubmit')).to.equal(false)
+      expect(listener).to.have.been.calledTwice
+
+      // when
+      propModel.set('quantity', 0)
+
+      // then
+      expect(listener).to.have.been.calledTwice
+      expect(() => propModel.defineErrorsProp('otherErrors')).to.throw('Errors property already defined: validationErrors')
+    })
+
+    it('should roll back errors with a failed transaction', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter(), { validation: 'soft' })
+      propModel.defineProp('quantity', 1, isPositive)
+
+      // when
+      expect(() => propModel.transaction(() => {
+        propModel.set('quantity', -1)
+        throw new Error('Test Error')
+      })).to.throw('Test Error')
+
+      // then
+      expect(propModel.isValid('quantity')).to.equal(true)
+    })
+
+    it('should limit errors to properties the API can read', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter(), { validation: 'soft' })
+      propModel.defineProp('quantity', 1, isPositive)
+      propModel.defineProp('_internal', 1, isPositive)
+      propModel.set({ quantity: -1, _internal: -1 })
+      const api = propModel.getStandardPublicApi()
+
+      // expect
+      expect(Object.keys(api.getErrors())).to.deep.equal(['quantity'])
+      expect(api.isValid('quantity')).to.equal(false)
+      expect(() => api.isValid('_internal')).to.throw()
+    })
+  })
+
+  describe('constraints', () => {
+    it('should judge a batch by the combined new values', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('min', 0)
+      propModel.defineProp('max', 10)
+      propModel.defineConstraint('range', ['min', 'max'], (min, max) => min <= max, 'min must not exceed max')
+      const listener = sinon.spy()
+      propModel.onAny(['min', 'max'], listener)
+
+      // when
+      propModel.set({ min: 20, max: 30 })
+
+      // then
+      expect(propModel.getAll()).to.deep.equal({ min: 20, max: 30 })
+      expect(listener).to.have.been.calledTwice
+
+      // expect
+      expect(() => propModel.set('min', 40)).to.throw('Failed constraints: min must not exceed max')
+      expect(propModel.get('min')).to.equal(20)
+    })
+
+    it('should reject the whole batch and list every failed constraint', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('min', 0)
+      propModel.defineProp('max', 10)
+      propModel.defineProp('step', 1)
+      propModel.defineProp('label', 'x')
+      propModel.defineConstraint('range', ['min', 'max'], (min, max) => min <= max, (min, max) => `${min} > ${max}`)
+      propModel.defineConstraint('step', ['step', 'max'], (step, max) => step <= max)
+      propModel.defineConstraint('label', ['label'], label => label.length > 0)
+      let error
+
+      // when
+      try {
+        propModel.set({ min: 5, max: 2, step: 3, label: 'y' })
+      } catch (e) {
+        error = e
+      }
+
+      // then
+      expect(error.message).to.equal('Failed constraints: 5 > 2; Constraint \'step\' failed')
+      expect(error.violations).to.deep.equal([
+        { constraint: 'range', propNames: ['min', 'max'], message: '5 > 2' },
+        { constraint: 'step', propNames: ['step', 'max'], message: 'Constraint \'step\' failed' }
+      ])
+      expect(propModel.getAll()).to.deep.equal({ min: 0, max: 10, step: 1, label: 'x' })
+    })
+
+    it('should check the writes in a transaction when it commits', async () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('min', 0)
+      propModel.defineProp('max', 10)
+      propModel.defineConstraint('range', ['min', 'max'], (min, max) => min <= max, 'min must not exceed max')
+      const listener = sinon.spy()
+      propModel.onAny(['min', 'max'], listener)
+
+      // when
+      propModel.transaction(() => {
+        propModel.set('min', 20)
+        propModel.set('max', 30)
+      })
+      const error = (() => {
+        try {
+          propModel.transaction(() => propModel.set('min', 40))
+        } catch (e) {
+          return e
+        }
+      })()
+      const asyncError = await propModel.transaction(async (tx) => {
+        await Promise.resolve()
+        tx.set('max', 5)
+      }).catch((e) => e)
+
+      // then
+      expect(error.message).to.equal('Failed constraints: min must not exceed max')
+      expect(asyncError.message).to.equal('Failed constraints: min must not exceed max')
+      expect(propModel.getAll()).to.deep.equal({ min: 20, max: 30 })
+      expect(listener).to.have.been.calledTwice
+    })
+
+    it('should check writes to views against the new base value', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('range', { min: 0, max: 10 })
+      propModel.defineViewOfObjectProp('min', 'range', 'min')
+      propModel.defineConstraint('range', ['range'], ({ min, max }) => min <= max)
+
+      // expect
+      expect(() => propModel.set('min', 11)).to.throw('Failed constraints: Constraint \'range\' failed')
+      propModel.set('min', 5)
+      expect(propModel.get('range')).to.deep.equal({ min: 5, max: 10 })
+    })
+
+    it('should only constrain existing primary properties, with unique names', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('b', ['a'], a => a)
+      propModel.defineConstraint('positive', ['a'], a => a > 0)
+
+      // expect
+      expect(() => propModel.defineConstraint('positive', ['a'], a => a > 0)).to.throw('Constraint already defined: positive')
+      expect(() => propModel.defineConstraint('c', ['c'], c => c)).to.throw('Cannot constrain unknown property \'c\'')
+      expect(() => propModel.defineConstraint('b', ['b'], b => b)).to.throw('Cannot constrain derived property \'b\'')
+    })
+  })
+
+  describe('removing properties', () => {
+    it('should remove a property and fire a prop-removed event', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 2)
+      const listener = sinon.spy()
+      eventEmitter.on('prop-removed', listener)
+
+      // when
+      propModel.undefineProp('a')
+
+      // then
+      expect(propModel.getPropNames()).to.deep.equal(['b'])
+      expect(() => propModel.get('a')).to.throw('No such property \'a\'')
+      expect(listener).to.have.been.calledOnceWith('a')
+      expect(() => propModel.undefineProp('a')).to.throw('No such property \'a\'')
+    })
+
+    it('should refuse to remove a property that others depend on, unless cascading', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('size', { width: 2, height: 3 })
+      propModel.defineViewOfObjectProp('width', 'size', 'width')
+      propModel.defineDerivedProp('double', ['width'], width => width * 2)
+      propModel.defineProp('other', 1)
+      const listener = sinon.spy()
+      eventEmitter.on('prop-removed', listener)
+
+      // expect
+      expect(() => propModel.undefineProp('size')).to.throw(
+        'Cannot undefine property \'size\' while other properties depend on it: \'width\', \'double\''
+      )
+      expect(propModel.getPropNames()).to.deep.equal(['size', 'width', 'double', 'other'])
+
+      // when
+      propModel.undefineProp('size', { cascade: true })
+
+      // then
+      expect(propModel.getPropNames()).to.deep.equal(['other'])
+      expect(listener.args).to.deep.equal([['double'], ['width'], ['size']])
+    })
+
+    it('should detach a removed derived property from its dependencies', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      const calculate = sinon.spy(a => a * 2)
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('double', ['a'], calculate)
+      propModel.defineConstraint('positive', ['a'], a => a > 0)
+
+      // when
+      propModel.undefineProp('double')
+      propModel.undefineProp('a')
+      propModel.defineProp('a', -1)
+      propModel.set('a', -2)
+
+      // then
+      expect(calculate).to.have.been.calledOnce
+    })
+
+    it('should remove accessors installed for the property', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('name', 'x')
+      propModel.defineProp('other', 'y')
+      const target = {}
+      propModel.installAccessors(target, { name: 'readwrite', other: 'readonly' })
+
+      // when
+      propModel.undefineProp('name')
+
+      // then
+      expect(Object.keys(target)).to.deep.equal(['getOther'])
+    })
+
+    itWithGlobal('AbortController')('should remove an async derived property with its companions, cancelling its calculation', async () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      let signal
+      propModel.defineProp('id', 1)
+      propModel.defineAsyncDerivedProp('user', ['id'], (id, s) => {
+        signal = s
+        return Promise.resolve({ id })
+      })
+
+      // expect
+      expect(() => propModel.undefineProp('userPending')).to.throw(
+        'Cannot undefine property \'userPending\' separately from \'user\''
+      )
+      expect(() => propModel.undefineProp('id')).to.throw(
+        'Cannot undefine property \'id\' while other properties depend on it: \'userError\', \'user\', \'userPending\''
+      )
+
+      // when
+      propModel.undefineProp('id', { cascade: true })
+      await Promise.resolve()
+
+      // then
+      expect(signal.aborted).to.equal(true)
+      expect(propModel.getPropNames()).to.deep.equal([])
+    })
+  })
+
+  describe('dependency graph', () => {
+    const createModel = () => {
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('size', { width: 2, height: 3 }, () => {})
+      propModel.defineViewOfObjectProp('width', 'size', 'width')
+      propModel.defineViewOfObjectProp('height', 'size', 'height')
+      propModel.defineDerivedProp('area', ['width', 'height'], (width, height) => width * height)
+      propModel.defineComputed('_label', get => `${get('area')} sq`)
+      return propModel
+    }
+
+    it('should list direct and transitive dependencies and dependents', () => {
+      // given
+      const propModel = createModel()
+
+      // expect
+      expect(propModel.getDependencies('area')).to.deep.equal(['width', 'height'])
+      expect(propModel.getDependencies('area', { transitive: true })).to.deep.equal(['size', 'width', 'height'])
+      expect(propModel.getDependencies('size')).to.deep.equal([])
+      expect(propModel.getDependents('size')).to.deep.equal(['width', 'height'])
+      expect(propModel.getDependents('size', { transitive: true })).to.deep.equal(['height', 'width', 'area', '_label'])
+      expect(() => propModel.getDependents('nope')).to.throw('No such property \'nope\'')
+    })
+
+    it('should limit introspection to properties the API can read', () => {
+      // given
+      const api = createModel().getStandardPublicApi()
+
+      // expect
+      expect(api.getDependents('area')).to.deep.equal([])
+      expect(() => api.getDependencies('_label')).to.throw()
+    })
+
+    it('should describe properties', () => {
+      // given
+      const propModel = createModel()
+      const api = propModel.getStandardPrivateApi()
+
+      // expect
+      expect(propModel.getPropInfo('size')).to.deep.equal({
+        name: 'size',
+        kind: 'primary',
+        derived: false,
+        dependsOn: [],
+        viewOf: null,
+        lazy: false,
+        hasValidator: true,
+        validation: 'strict',
+        access: 'readwrite'
+      })
+      expect(api.getPropInfo('width')).to.include({ kind: 'view', viewOf: 'size', hasValidator: false, access: 'readonly' })
+      expect(api.getPropInfo('_label')).to.include({ kind: 'computed', access: 'readonly' })
+    })
+
+    it('should render the graph in DOT format', () => {
+      // given
+      const propModel = createModel()
+
+      // expect
+      expect(propModel.toGraph()).to.equal([
+        'digraph PropsModel {',
+        '  "size" [shape=box];',
+        '  "width" [shape=parallelogram];',
+        '  "height" [shape=parallelogram];',
+        '  "area" [shape=ellipse];',
+        '  "_label" [shape=hexagon];',
+        '  "size" -> "width";',
+        '  "size" -> "height";',
+        '  "width" -> "area";',
+        '  "height" -> "area";',
+        '  "area" -> "_label";',
+        '}'
+      ].join('\n'))
+    })
+
+    it('should report the dependencies of an async derived property as its own', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('q', 'query')
+      propModel.defineAsyncDerivedProp('r', ['q'], (q) => Promise.resolve(q))
+      propModel.defineDerivedProp('count', ['r'], (r) => (r || '').length)
+
+      // expect
+      expect(propModel.getDependencies('r')).to.deep.equal(['q'])
+      expect(propModel.getDependencies('count', { transitive: true })).to.deep.equal(['q', 'r'])
+      expect(propModel.getPropInfo('r').dependsOn).to.deep.equal(['q'])
+      expect(propModel.getDependents('q')).to.deep.equal(['r', 'rPending'])
+      expect(propModel.getDependents('q', { transitive: true })).to.include.members(['r', 'rPending', 'count'])
+      expect(propModel.toGraph()).to.include('"q" -> "r";')
+    })
+
+    it('should render the graph in Mermaid format', () => {
+      // given
+      const api = createModel().getStandardPublicApi()
+
+      // expect
+      expect(api.toGraph({ format: 'mermaid' })).to.equal([
+        'flowchart LR',
+        '  p0["size"]',
+        '  p1[/"width"/]',
+        '  p2[/"height"/]',
+        '  p3("area")',
+        '  p0 --> p1',
+        '  p0 --> p2',
+        '  p1 --> p3',
+        '  p2 --> p3'
+      ].join('\n'))
+      expect(() => api.toGraph({ format: 'svg' })).to.throw('Unknown graph format \'svg\'')
+    })
+  })
+
+  describe('child models', () => {
+    const createModels = () => {
+      const address = new PropsModel(new EventEmitter())
+      address.defineProp('city', 'Springfield')
+      address.defineProp('zip', '12345')
+      const eventEmitter = new EventEmitter()
+      const person = new PropsModel(eventEmitter)
+      person.defineProp('name', 'Homer')
+      person.defineChildModel('address', address)
+      return { address, person, eventEmitter }
+    }
+
+    it('should read child properties by path', () => {
+      // given
+      const { person } = createModels()
+
+      // expect
+      expect(person.get('address.city')).to.equal('Springfield')
+      expect(person.get('address')).to.deep.equal({ city: 'Springfield', zip: '12345' })
+      expect(() => person.get('address.country')).to.throw('No such property \'address.country\'')
+      expect(() => person.set('address', {})).to.throw(
+        'Cannot set child model property \'address\', set the properties of the child model instead'
+      )
+    })
+
+    it('should keep private child properties private', () => {
+      // given
+      const { address, person } = createModels()
+      address.defineProp('_secret', 'hidden')
+      const api = person.getStandardPublicApi()
+
+      // expect
+      expect(() => api.get('address._secret')).to.throw('Property is not publicly accessible: address._secret')
+      expect(api.get('address.city')).to.equal('Springfield')
+      expect(api.getAll()).to.deep.equal({ name: 'Homer', address: { city: 'Springfield', zip: '12345' } })
+      expect(api.toJSON()).to.deep.equal({ name: 'Homer', address: { city: 'Springfield', zip: '12345' } })
+      expect(person.get('address._secret')).to.equal('hidden')
+      expect(person.toJSON()).to.deep.equal({ name: 'Homer', address: { city: 'Springfield', zip: '12345', _secret: 'hidden' } })
+    })
+
+    it('should check access to child properties by path when restoring through an API', () => {
+      // given
+      const { address, person } = createModels()
+      address.defineProp('_secret', 'hidden')
+      const api = person.getStandardPublicApi()
+      const snapshot = api.toJSON()
+      address.defineDerivedProp('label', ['city'], city => city.toUpperCase())
+      address.set('city', 'Shelbyville')
+
+      // when
+      api.restore(snapshot)
+
+      // then
+      expect(person.get('address.city')).to.equal('Springfield')
+      expect(() => api.restore({ address: { _secret: 99 } })).to.throw('Property is not publicly accessible: address._secret')
+      expect(() => api.restore({ address: { label: 'X' } })).to.throw('Cannot restore snapshot with derived property \'label\'')
+      expect(person.get('address._secret')).to.equal('hidden')
+    })
+
+    it('should bubble child changes as a single chain', () => {
+      // given
+      const { address, person, eventEmitter } = createModels()
+      const listener = sinon.spy()
+      person.onAny(['address.city', 'address.zip', 'address'], listener)
+      const chainListener = sinon.spy()
+      person.onPropChainComplete(chainListener)
+
+      // when
+      address.set({ city: 'Shelbyville', zip: '54321' })
+
+      // then
+      expect(listener.args.map((args) => args.slice(0, 3))).to.deep.equal([
+        ['address.city', 'Shelbyville', 'Springfield'],
+        ['address.zip', '54321', '12345'],
+        ['address', { city: 'Shelbyville', zip: '54321' }, { city: 'Springfield', zip: '12345' }]
+      ])
+      expect(chainListener).to.have.been.calledOnceWith(['address.city', 'address.zip', 'address'])
+      expect(eventEmitter.listenerCount('city-changed')).to.equal(0)
+    })
+
+    it('should allow derived properties to depend on child paths', () => {
+      // given
+      const { address, person } = createModels()
+      person.defineDerivedProp('label', ['name', 'address.city'], (name, city) => `${name} of ${city}`)
+      person.defineComputed('zipPrefix', get => get('address.zip').slice(0, 2))
+
+      // when
+      address.set('city', 'Shelbyville')
+      address.set('zip', '98765')
+
+      // then
+      expect(person.get('label')).to.equal('Homer of Shelbyville')
+      expect(person.get('zipPrefix')).to.equal('98')
+      expect(person.getDependencies('label')).to.deep.equal(['name', 'address'])
+    })
+
+    it('should support nested child models', () => {
+      // given
+      const { address, person } = createModels()
+      const geo = new PropsModel(new EventEmitter())
+      geo.defineProp('lat', 0)
+      address.defineChildModel('geo', geo)
+      const listener = sinon.spy()
+      person.onAny(['address.geo.lat'], listener)
+
+      // when
+      geo.set('lat', 45)
+
+      // then
+      expect(person.get('address.geo.lat')).to.equal(45)
+      expect(listener).to.have.been.calledOnceWith('address.geo.lat', 45, 0)
+    })
+
+    it('should nest snapshots', () => {
+      // given
+      const { address, person } = createModels()
+
+      // when
+      const snapshot = person.toJSON()
+      address.set('city', 'Shelbyville')
+      person.restore({ name: 'Marge', address: { city: 'Capital City' } })
+
+      // then
+      expect(snapshot).to.deep.equal({ name: 'Homer', address: { city: 'Springfield', zip: '12345' } })
+      expect(person.get('address.city')).to.equal('Capital City')
+      expect(person.get('name')).to.equal('Marge')
+    })
+
+    it('should restore nothing when a child snapshot can\'t be restored', () => {
+      // given
+      const { address, person } = createModels()
+      const geo = new PropsModel(new EventEmitter())
+      geo.defineProp('lat', 0, value => {
+        if (Math.abs(value) > 90) {
+          throw new Error('Invalid latitude')
+        }
+      })
+      address.defineChildModel('geo', geo)
+      const work = new PropsModel(new EventEmitter())
+      work.defineProp('city', 'Springfield')
+      person.defineChildModel('work', work)
+      const listener = sinon.spy()
+      person.onPropChainComplete(listener)
+
+      // when
+      const restore = (snapshot) => () => person.restore({ name: 'Marge', ...snapshot })
+
+      // then
+      expect(restore({ address: { city: 'Capital City', geo: { lat: 100 } } })).to.throw('Invalid latitude')
+      expect(restore({ address: { city: 'Capital City' }, work: { town: 'Shelbyville' } })).to.throw(
+        'Cannot restore snapshot with unknown property \'town\''
+      )
+      expect(person.get('name')).to.equal('Homer')
+      expect(person.get('address')).to.deep.equal({ city: 'Springfield', zip: '12345', geo: { lat: 0 } })
+      expect(person.get('work.city')).to.equal('Springfield')
+      expect(listener).to.not.have.been.called
+    })
+
+    it('should stop bubbling when the child model property is removed', () => {
+      // given
+      const { address, person } = createModels()
+      const listener = sinon.spy()
+      person.onPropChainComplete(listener)
+
+      // when
+      person.undefineProp('address')
+      address.set('city', 'Shelbyville')
+
+      // then
+      expect(listener).to.not.have.been.called
+    })
+  })
+
+  describe('path views', () => {
+    const createModel = (options) => {
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('config', {
+        settings: { colors: [{ hex: '#000' }, { hex: '#111' }, { hex: '#222' }], size: 3 },
+        other: { a: 1 }
+      })
+      propModel.defineViewOfPath('hex', 'config', ['settings', 'colors', 2, 'hex'], options)
+      return propModel
+    }
+
+    it('should read a deeply nested value', () => {
+      // given
+      const propModel = createModel()
+
+      // expect
+      expect(propModel.get('hex')).to.equal('#222')
+    })
+
+    it('should write with structural sharing', () => {
+      // given
+      const propModel = createModel()
+      const oldConfig = propModel.get('config')
+
+      // when
+      propModel.set('hex', '#fff')
+
+      // then
+      const newConfig = propModel.get('config')
+      expect(newConfig.settings.colors[2]).to.deep.equal({ hex: '#fff' })
+      expect(oldConfig.settings.colors[2]).to.deep.equal({ hex: '#222' })
+      expect(newConfig.settings.colors).to.be.an('array')
+      expect(newConfig.settings.colors[0]).to.equal(oldConfig.settings.colors[0])
+      expect(newConfig.other).to.equal(oldConfig.other)
+      expect(propModel.get('hex')).to.equal('#fff')
+    })
+
+    it('should use the view\'s didChange', () => {
+      // given
+      const propModel = createModel({ equals: (a, b) => String(a).toLowerCase() === String(b).toLowerCase() })
+      const listener = sinon.spy()
+      propModel.onAny(['hex'], listener)
+
+      // when
+      propModel.set('config', { settings: { colors: [null, null, { hex: '#FFF' }] } })
+      propModel.set('hex', '#fff')
+
+      // then
+      expect(listener).to.have.been.calledOnceWith('hex', '#FFF', '#222')
+    })
+
+    it('should create missing nodes by default', () => {
+      // given
+      const propModel = createModel()
+      propModel.set('config', {})
+
+      // when
+      expect(propModel.get('hex')).to.equal(undefined)
+      propModel.set('hex', '#fff')
+
+      // then
+      expect(propModel.get('config')).to.deep.equal({ settings: { colors: [undefined, undefined, { hex: '#fff' }] } })
+    })
+
+    it('should throw for missing nodes if configured to', () => {
+      // given
+      const propModel = createModel({ missing: 'throw' })
+      propModel.set('config', { settings: {} })
+
+      // expect
+      expect(() => propModel.set('hex', '#fff')).to.throw('Cannot set \'hex\', there is nothing at config.settings.colors')
+      expect(propModel.get('config')).to.deep.equal({ settings: {} })
+      expect(() => propModel.defineViewOfPath('x', 'config', [], { missing: 'ignore' })).to.throw('Unknown missing node policy \'ignore\'')
+    })
+
+    it('should treat nodes that aren\'t objects or arrays as missing', () => {
+      // given
+      const propModel = createModel({ missing: 'throw' })
+      propModel.defineViewOfPath('created', 'config', ['settings', 'size', 'value'])
+      propModel.set('config', { settings: { colors: 5, size: 3 } })
+
+      // when
+      propModel.set('created', 4)
+
+      // then
+      expect(() => propModel.set('hex', '#fff')).to.throw('Cannot set \'hex\', there is no object or array at config.settings.colors')
+      expect(propModel.get('config')).to.deep.equal({ settings: { colors: 5, size: { value: 4 } } })
+    })
+
+    it('should be definable from a schema', () => {
+      // given
+      const propModel = PropsModel.fromSchema(new EventEmitter(), {
+        config: { initialValue: {} },
+        hex: { kind: 'view', viewOf: 'config', path: ['colors', 0], missing: 'throw' }
+      })
+
+      // expect
+      expect(() => propModel.set('hex', '#fff')).to.throw('Cannot set \'hex\', there is nothing at config.colors')
+    })
+  })
+
+  describe('list properties', () => {
+    const createModel = () => {
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineListProp('items', ['a', 'b', 'c'])
+      const splices = sinon.spy()
+      eventEmitter.on('items-spliced', splices)
+      const changes = sinon.spy()
+      eventEmitter.on('items-changed', changes)
+      return { propModel, splices, changes }
+    }
+
+    it('should fire a splice event for each operation, along with the change event', () => {
+      // given
+      const { propModel, splices, changes } = createModel()
+      const list = propModel.getList('items')
+
+      // when
+      expect(list.push('d', 'e')).to.equal(5)
+      expect(list.insert(0, 'z')).to.equal(6)
+      expect(list.remove(1, 2)).to.deep.equal(['a', 'b'])
+      list.move(0, 2)
+      list.update(1, 'D')
+
+      // then
+      expect(propModel.get('items')).to.deep.equal(['c', 'D', 'z', 'e'])
+      expect(splices.args.map(([, splice]) => splice)).to.deep.equal([
+        { type: 'insert', index: 3, removed: [], added: ['d', 'e'] },
+        { type: 'insert', index: 0, removed: [], added: ['z'] },
+        { type: 'remove', index: 1, removed: ['a', 'b'], added: [] },
+        { type: 'move', index: 0, to: 2, removed: [], added: [] },
+        { type: 'update', index: 1, removed: ['d'], added: ['D'] }
+      ])
+      expect(changes).to.have.callCount(5)
+      expect(splices.firstCall).to.have.been.calledBefore(changes.firstCall)
+    })
+
+    it('should describe setting the whole list as a single splice', () => {
+      // given
+      const { propModel, splices } = createModel()
+
+      // when
+      propModel.set('items', ['a', 'x', 'y', 'c'])
+
+      // then
+      expect(splices).to.have.been.calledOnceWith('items', { type: 'replace', index: 1, removed: ['b'], added: ['x', 'y'] })
+    })
+
+    it('should fire the splices of a transaction in order when it commits', () => {
+      // given
+      const { propModel, splices, changes } = createModel()
+      const list = propModel.getList('items')
+
+      // when
+      propModel.transaction(() => {
+        list.push('d')
+        list.remove(0)
+        expect(splices).to.not.have.been.called
+      })
+      expect(() => propModel.transaction(() => {
+        list.push('e')
+        throw new Error('Test Error')
+      })).to.throw('Test Error')
+
+      // then
+      expect(splices.args.map(([, { type }]) => type)).to.deep.equal(['insert', 'remove'])
+      expect(changes).to.have.been.calledOnceWith('items', ['b', 'c', 'd'], ['a', 'b', 'c'])
+    })
+
+    it('should validate list operations', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineListProp('items', [1], list => {
+        if (list.length > 2) {
+          throw new Error('Too many items')
+        }
+      })
+      propModel.defineProp('other', [])
+      const list = propModel.getList('items')
+
+      // expect
+      expect(() => list.push(2, 3)).to.throw('Too many items')
+      expect(() => list.insert(2, 2)).to.throw('Index 2 is out of range for list property \'items\'')
+      expect(() => list.remove(1)).to.throw('Index 1 is out of range for list property \'items\'')
+      expect(() => propModel.getList('other')).to.throw('Property \'other\' is not a list property')
+      expect(() => propModel.getStandardPublicApi().getList('_nope')).to.throw()
+      expect(propModel.get('items')).to.deep.equal([1])
+    })
+
+    it('should track the identity of a viewed item', () => {
+      // given
+      const { propModel } = createModel()
+      propModel.defineViewOfListItem('second', 'items', 1)
+      const list = propModel.getList('items')
+
+      // expect
+      list.insert(0, 'x', 'y')
+      expect(propModel.get('second')).to.equal('b')
+      list.move(3, 0)
+      expect(propModel.get('second')).to.equal('b')
+      expect(propModel.get('items')).to.deep.equal(['b', 'x', 'y', 'a', 'c'])
+      list.update(0, 'B')
+      expect(propModel.get('second')).to.equal('B')
+      propModel.set('second', 'bee')
+      expect(propModel.get('items')).to.deep.equal(['bee', 'x', 'y', 'a', 'c'])
+      list.remove(0)
+      expect(propModel.get('second')).to.equal(undefined)
+      expect(() => propModel.set('second', 'b')).to.throw('Cannot set \'second\', its item has been removed from \'items\'')
+    })
+
+    it('should find a viewed item that was shifted earlier in the same transaction', () => {
+      // given
+      const { propModel } = createModel()
+      propModel.defineViewOfListItem('second', 'items', 1)
+      const list = propModel.getList('items')
+
+      // when
+      propModel.transaction(() => {
+        list.insert(0, 'z')
+        propModel.set('second', 'B')
+      })
+
+      // then
+      expect(propModel.get('items')).to.deep.equal(['z', 'a', 'B', 'c'])
+      expect(propModel.get('second')).to.equal('B')
+    })
+
+    it('should shift the other viewed items when an item is moved past them', () => {
+      // given
+      const { propModel } = createModel()
+      propModel.defineViewOfListItem('first', 'items', 0)
+      propModel.defineViewOfListItem('second', 'items', 1)
+      propModel.defineViewOfListItem('third', 'items', 2)
+      const list = propModel.getList('items')
+
+      // when
+      list.move(0, 2)
+
+      // then
+      expect(propModel.get('items')).to.deep.equal(['b', 'c', 'a'])
+      expect(propModel.getAll(['first', 'second', 'third'])).to.deep.equal({ first: 'a', second: 'b', third: 'c' })
+
+      // when
+      list.move(2, 0)
+      propModel.set({ first: 'A', second: 'B', third: 'C' })
+
+      // then
+      expect(propModel.get('items')).to.deep.equal(['A', 'B', 'C'])
+    })
+
+    it('should ignore removing no items', () => {
+      // given
+      const { propModel, splices, changes } = createModel()
+      const list = propModel.getList('items')
+
+      // when
+      const removed = [list.remove(1, 0), list.remove(0, -1)]
+
+      // then
+      expect(removed).to.deep.equal([[], []])
+      expect(propModel.get('items')).to.deep.equal(['a', 'b', 'c'])
+      expect(splices).to.not.have.been.called
+      expect(changes).to.not.have.been.called
+    })
+
+    it('should be definable from a schema', () => {
+      // given
+      const propModel = PropsModel.fromSchema(new EventEmitter(), {
+        items: { kind: 'list', initialValue: [1] }
+      })
+
+      // when
+      propModel.getSchemaApi().getList('items').push(2)
+
+      // then
+      expect(propModel.get('items')).to.deep.equal([1, 2])
+      expect(propModel.getPropInfo('items').kind).to.equal('list')
+    })
+
+    it('should follow a viewed item that is put back by a replacement', () => {
+      // given
+      const itemA = { id: 'a' }
+      const itemB = { id: 'b' }
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineListProp('items', [itemA, itemB])
+      propModel.defineViewOfListItem('first', 'items', 0)
+
+      // when
+      propModel.set('items', [itemB, itemA])
+
+      // then
+      expect(propModel.get('first')).to.equal(itemA)
+    })
+  })
+
+  describe('map properties', () => {
+    const createModel = () => {
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineMapProp('users', { 42: 'Alice', 7: 'Bob' })
+      return propModel
+    }
+
+    it('should get, set and delete keys', () => {
+      // given
+      const propModel = createModel()
+      const oldMap = propModel.get('users')
+
+      // when
+      propModel.setKey('users', 42, 'Alicia')
+      propModel.setKey('users', 'x', 'Xavier')
+
+      // then
+      expect(propModel.getKey('users', '42')).to.equal('Alicia')
+      expect(propModel.get('users[x]')).to.equal('Xavier')
+      expect(oldMap.get('42')).to.equal('Alice')
+      expect(propModel.deleteKey('users', 7)).to.equal(true)
+      expect(propModel.deleteKey('users', 7)).to.equal(false)
+      expect(Array.from(propModel.get('users').keys())).to.deep.equal(['42', 'x'])
+    })
+
+    it('should notify key subscribers only when their key changes', () => {
+      // given
+      const propModel = createModel()
+      const handler = sinon.spy()
+      const dispose = propModel.onKey('users', 42, handler)
+
+      // when
+      propModel.setKey('users', 7, 'Robert')
+      propModel.setKey('users', 42, 'Alicia')
+      propModel.deleteKey('users', 42)
+      dispose()
+      propModel.setKey('users', 42, 'Alice')
+
+      // then
+      expect(handler.args.map((args) => args.slice(0, 3))).to.deep.equal([
+        ['users[42]', 'Alicia', 'Alice'],
+        ['users[42]', undefined, 'Alicia']
+      ])
+    })
+
+    it('should set and listen to keys by name', () => {
+      // given
+      const propModel = createModel()
+      const handler = sinon.spy()
+      const dispose = propModel.onAny(['users[1]'], handler)
+
+      // when
+      propModel.set('users[1]', 'Ann')
+      propModel.set({ 'users[2]': 'Ben', 'users[7]': 'Robert' })
+      dispose()
+      propModel.set('users[1]', 'Anne')
+
+      // then
+      expect(handler.args.map((args) => args.slice(0, 3))).to.deep.equal([['users[1]', 'Ann', undefined]])
+      expect(Array.from(propModel.get('users'))).to.deep.equal([['7', 'Robert'], ['42', 'Alice'], ['1', 'Anne'], ['2', 'Ben']])
+      expect(Object.keys(propModel._props)).to.deep.equal(['users'])
+    })
+
+    it('should allow derived properties to depend on a single key', () => {
+      // given
+      const propModel = createModel()
+      const calculate = sinon.spy(name => `Hello, ${name}`)
+      propModel.defineDerivedProp('greeting', ['users[42]'], calculate)
+      propModel.defineComputed('bob', get => get('users[7]'))
+
+      // when
+      propModel.setKey('users', 7, 'Robert')
+      propModel.setKey('users', 42, 'Alicia')
+
+      // then
+      expect(calculate).to.have.been.calledTwice
+      expect(propModel.get('greeting')).to.equal('Hello, Alicia')
+      expect(propModel.get('bob')).to.equal('Robert')
+      expect(propModel.getPropNames()).to.deep.equal(['users', 'greeting', 'bob'])
+      expect(() => propModel.undefineProp('users')).to.throw(
+        'Cannot undefine property \'users\' while other properties depend on it: \'bob\', \'greeting\''
+      )
+    })
+
+    it('should only keep track of keys that something depends on or listens to', () => {
+      // given
+      const propModel = createModel()
+      const chainListener = sinon.spy()
+      const keyPropNames = () => Object.keys(propModel._props).filter(name => name.startsWith('users['))
+
+      // when
+      propModel.get('users[1]')
+      propModel.createUtilizer(['users[2]'], name => name)
+      const dispose = propModel.onKey('users', 42, () => {})
+      propModel.defineDerivedProp('greeting', ['users[7]'], name => `Hello, ${name}`)
+      propModel.defineComputed('either', get => get('users[x]') || get('users[y]'))
+
+      // then
+      expect(keyPropNames()).to.deep.equal(['users[42]', 'users[7]', 'users[x]', 'users[y]'])
+
+      // when
+      propModel.onPropChainComplete(chainListener)
+      propModel.setKey('users', 'x', 'Xavier')
+      dispose()
+      propModel.undefineProp('greeting')
+
+      // then
+      expect(keyPropNames()).to.deep.equal(['users[x]'])
+      expect(propModel.get('either')).to.equal('Xavier')
+      expect(chainListener.args.map(([firedProps]) => firedProps)).to.deep.equal([['users', 'either']])
+    })
+
+    it('should serialize as an object', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineMapProp('dates', [[1, new Date(0)]], { serializeValue: date => date.getTime(), deserializeValue: time => new Date(time) })
+
+      // when
+      const snapshot = propModel.toJSON()
+      propModel.restore({ dates: { 2: 1000 } })
+
+      // then
+      expect(snapshot).to.deep.equal({ dates: { 1: 0 } })
+      expect(propModel.getKey('dates', 2).getTime()).to.equal(1000)
+    })
+
+    it('should enforce API access', () => {
+      // given
+      const propModel = createModel()
+      propModel.defineMapProp('_secrets')
+      propModel.defineProp('plain', {})
+      const api = propModel.getStandardPublicApi()
+
+      // expect
+      api.setKey('users', 1, 'Carol')
+      expect(api.getKey('users', 1)).to.equal('Carol')
+      expect(() => api.getKey('_secrets', 1)).to.throw()
+      expect(() => api.setKey('plain', 1, 'x')).to.throw('Property \'plain\' is not a map property')
+    })
+  })
+
+  describe('observables', () => {
+    const createSubject = () => {
+      const observers = new Set()
+      return {
+        subscribe (observer) {
+          observers.add(observer)
+          return { unsubscribe: () => observers.delete(observer) }
+        },
+        next: value => observers.forEach(observer => observer.next(value)),
+        error: error => observers.forEach(observer => observer.error(error)),
+        complete: () => observers.forEach(observer => observer.complete()),
+        observers
+      }
+    }
+
+    it('should emit the current value and then each change', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 1)
+      const next = sinon.spy()
+
+      // when
+      const subscription = propModel.toObservable('a').subscribe(next)
+      propModel.set('a', 2)
+      subscription.unsubscribe()
+      propModel.set('a', 3)
+
+      // then
+      expect(next.args).to.deep.equal([[1], [2]])
+      expect(eventEmitter.listenerCount('prop-chain-completed')).to.equal(0)
+      expect(eventEmitter.listenerCount('a-changed')).to.equal(0)
+    })
+
+    it('should emit each change of a lazy property', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('b', ['a'], a => a * 2, undefined, { lazy: true })
+      const next = sinon.spy()
+
+      // when
+      propModel.toObservable('b').subscribe(next)
+      propModel.set('a', 2)
+      propModel.set('a', 3)
+
+      // then
+      expect(next.args).to.deep.equal([[2], [4], [6]])
+    })
+
+    it('should emit an object of values once per batch for multiple properties', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 2)
+      propModel.defineProp('c', 3)
+      const next = sinon.spy()
+      const observable = propModel.toObservable(['a', 'b'])
+
+      // when
+      observable.subscribe({ next })
+      propModel.set({ a: 10, b: 20 })
+      propModel.set('c', 30)
+
+      // then
+      expect(next.args).to.deep.equal([[{ a: 1, b: 2 }], [{ a: 10, b: 20 }]])
+      expect(observable['@@observable']()).to.equal(observable)
+    })
+
+    it('should drive a property from an observable until disposed', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      const subject = createSubject()
+
+      // when
+      const dispose = propModel.bindFrom('a', subject)
+      subject.next(2)
+
+      // then
+      expect(propModel.get('a')).to.equal(2)
+
+      // when
+      dispose()
+      subject.next(3)
+
+      // then
+      expect(propModel.get('a')).to.equal(2)
+      expect(subject.observers.size).to.equal(0)
+    })
+
+    it('should drive a property from another model\'s observable', () => {
+      // given
+      const source = new PropsModel(new EventEmitter())
+      source.defineProp('x', 'one')
+      const target = new PropsModel(new EventEmitter())
+      target.defineProp('y', null)
+
+      // when
+      target.bindFrom('y', source.toObservable('x'))
+      source.set('x', 'two')
+
+      // then
+      expect(target.get('y')).to.equal('two')
+    })
+
+    it('should stop binding on completion, errors, and invalid values', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1, value => {
+        if (value < 0) {
+          throw new Error('Negative')
+        }
+      })
+      propModel.defineDerivedProp('b', ['a'], a => a)
+      const onError = sinon.spy()
+      const subjects = [createSubject(), createSubject(), createSubject()]
+      subjects.forEach(subject => propModel.bindFrom('a', subject, { onError }))
+
+      // when
+      subjects[0].complete()
+      subjects[1].error(new Error('Test Error'))
+      subjects[2].next(-1)
+
+      // then
+      expect(subjects.map(subject => subject.observers.size)).to.deep.equal([0, 0, 0])
+      expect(onError.args.map(([error]) => error.message)).to.deep.equal(['Test Error', 'Negative'])
+      expect(() => propModel.bindFrom('b', createSubject())).to.throw('Cannot bind derived property \'b\'')
+    })
+
+    it('should fire a binding-failed event instead of throwing when there\'s no onError option', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 1, value => {
+        if (value < 0) {
+          throw new Error('Negative')
+        }
+      })
+      const listener = sinon.spy()
+      eventEmitter.on('binding-failed', listener)
+      const subjects = [createSubject(), createSubject()]
+      subjects.forEach(subject => propModel.bindFrom('a', subject))
+
+      // when
+      subjects[0].error(new Error('Test Error'))
+      subjects[1].next(-1)
+
+      // then
+      expect(subjects.map(subject => subject.observers.size)).to.deep.equal([0, 0])
+      expect(listener.args.map(([propName, error]) => [propName, error.message])).to.deep.equal([['a', 'Test Error'], ['a', 'Negative']])
+      expect(propModel.get('a')).to.equal(1)
+    })
+
+    itWithGlobal('AbortController')('should stop bindings when the model is disposed or the signal is aborted', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      const controller = new AbortController()
+      const subjects = [createSubject(), createSubject()]
+      propModel.bindFrom('a', subjects[0], { signal: controller.signal })
+
+      // when
+      controller.abort()
+
+      // then
+      expect(subjects[0].observers.size).to.equal(0)
+
+      // when
+      propModel.bindFrom('a', subjects[1])
+      propModel.dispose()
+
+      // then
+      expect(subjects[1].observers.size).to.equal(0)
+    })
+  })
+
+  describe('change streams', () => {
+    it('should yield each change to the named properties in order', async () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 2)
+      propModel.defineProp('c', 3)
+      const changes = propModel.changes(['a', 'b'])
+
+      // when
+      propModel.set('a', 10)
+      propModel.set('c', 30)
+      propModel.set('b', 20)
+      propModel.set('a', 100)
+      const records = []
+      for await (const record of changes) {
+        records.push(record)
+        if (records.length === 3) {
+          break
+        }
+      }
+
+      // then
+      expect(records).to.deep.equal([
+        { propName: 'a', newValue: 10, oldValue: 1 },
+        { propName: 'b', newValue: 20, oldValue: 2 },
+        { propName: 'a', newValue: 100, oldValue: 10 }
+      ])
+      expect(eventEmitter.listenerCount('a-changed')).to.equal(0)
+      expect(eventEmitter.listenerCount('b-changed')).to.equal(0)
+    })
+
+    it('should wait for changes that have not happened yet', async () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      const changes = propModel.changes(['a'])
+
+      // when
+      const next = changes.next()
+      propModel.set('a', 2)
+
+      // then
+      expect(await next).to.deep.equal({ value: { propName: 'a', newValue: 2, oldValue: 1 }, done: false })
+    })
+
+    it('should give each waiting consumer its own change', async () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      const changes = propModel.changes(['a'])
+
+      // when
+      const first = changes.next()
+      const second = changes.next()
+      propModel.set('a', 2)
+      propModel.set('a', 3)
+
+      // then
+      expect(await first).to.deep.equal({ value: { propName: 'a', newValue: 2, oldValue: 1 }, done: false })
+      expect(await second).to.deep.equal({ value: { propName: 'a', newValue: 3, oldValue: 2 }, done: false })
+    })
+
+    it('should end, telling waiting consumers, when the model is disposed', async () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 1)
+      const changes = propModel.changes(['a'])
+      const pending = changes.next()
+
+      // when
+      propModel.dispose()
+
+      // then
+      expect(await pending).to.deep.equal({ value: undefined, done: true })
+      expect(await changes.next()).to.deep.equal({ value: undefined, done: true })
+      expect(eventEmitter.listenerCount('a-changed')).to.equal(0)
+    })
+
+    it('should coalesce queued changes to the same property', async () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 2)
+      const changes = propModel.changes(['a', 'b'], { mode: 'coalesce' })
+
+      // when
+      propModel.set('a', 10)
+      propModel.set('b', 20)
+      propModel.set('a', 100)
+      const first = await changes.next()
+      const second = await changes.next()
+      propModel.set('a', 1000)
+      const third = await changes.next()
+
+      // then
+      expect(first.value).to.deep.equal({ propName: 'a', newValue: 100, oldValue: 1 })
+      expect(second.value).to.deep.equal({ propName: 'b', newValue: 20, oldValue: 2 })
+      expect(third.value).to.deep.equal({ propName: 'a', newValue: 1000, oldValue: 100 })
+    })
+
+    itWithGlobal('AbortController')('should end, discarding queued changes, on return or abort', async () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 1)
+      const controller = new AbortController()
+      const returned = propModel.changes(['a'])
+      const aborted = propModel.changes(['a'], { signal: controller.signal })
+      const pending = aborted.next()
+
+      // when
+      propModel.set('a', 2)
+      await returned.return()
+      controller.abort()
+      propModel.set('a', 3)
+
+      // then
+      expect(await pending).to.deep.equal({ value: { propName: 'a', newValue: 2, oldValue: 1 }, done: false })
+      expect(await returned.next()).to.deep.equal({ value: undefined, done: true })
+      expect(await aborted.next()).to.deep.equal({ value: undefined, done: true })
+      expect(eventEmitter.listenerCount('a-changed')).to.equal(0)
+    })
+
+    it('should reject unknown properties and modes', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+
+      // expect
+      expect(() => propModel.changes(['x'])).to.throw("No such property 'x'")
+      expect(() => propModel.changes(['a'], { mode: 'drop' })).to.throw("Unknown changes mode 'drop'")
+    })
+
+    it('should respect read access through an api', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      const api = propModel.createApi(() => false, (propName) => { throw new Error(`Cannot read '${propName}'`) })
+
+      // expect
+      expect(() => api.changes(['a'])).to.throw("Cannot read 'a'")
+      expect(() => api.waitFor('a')).to.throw("Cannot read 'a'")
+    })
+  })
+
+  describe('waiting for values', () => {
+    it('should resolve with the current value if it satisfies the predicate', async () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 5)
+
+      // when
+      const value = await propModel.waitFor('a', (x) => x > 1)
+
+      // then
+      expect(value).to.equal(5)
+      expect(eventEmitter.listenerCount('a-changed')).to.equal(0)
+    })
+
+    it('should resolve with the first later value that satisfies the predicate', async () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 0)
+      propModel.defineDerivedProp('double', ['a'], (a) => a * 2)
+      const waiting = propModel.waitFor('double', (x) => x > 5)
+
+      // when
+      propModel.set('a', 2)
+      propModel.set('a', 3)
+      propModel.set('a', 4)
+
+      // then
+      expect(await waiting).to.equal(6)
+      expect(eventEmitter.listenerCount('double-changed')).to.equal(0)
+    })
+
+    it('should wait for a truthy value by default', async () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('ready', false)
+      const waiting = propModel.waitFor('ready')
+
+      // when
+      propModel.set('ready', true)
+
+      // then
+      expect(await waiting).to.equal(true)
+    })
+
+    it('should reject when the time runs out', async () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 0)
+
+      // when
+      const error = await propModel.waitFor('a', (x) => x > 0, { timeout: 5 }).catch((e) => e)
+
+      // then
+      expect(error.message).to.equal("Timed out waiting for 'a'")
+      expect(eventEmitter.listenerCount('a-changed')).to.equal(0)
+    })
+
+    it('should reject when the model is disposed', async () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 0)
+      const waiting = propModel.waitFor('a', (x) => x > 0)
+
+      // when
+      propModel.dispose()
+
+      // then
+      const error = await waiting.catch((e) => e)
+      expect(error.message).to.equal("The model was disposed while waiting for 'a'")
+      expect(eventEmitter.listenerCount('a-changed')).to.equal(0)
+    })
+
+    itWithGlobal('AbortController')('should reject when the signal is aborted', async () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 0)
+      const controller = new AbortController()
+      const waiting = propModel.waitFor('a', (x) => x > 0, { signal: controller.signal })
+
+      // when
+      controller.abort(new Error('Never mind'))
+
+      // then
+      const error = await waiting.catch((e) => e)
+      expect(error.message).to.equal('Never mind')
+      expect(eventEmitter.listenerCount('a-changed')).to.equal(0)
+    })
+
+    it('should reject when the predicate throws', async () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 0)
+      const waiting = propModel.waitFor('a', (x) => {
+        if (x > 0) {
+          throw new Error('Bad value')
+        }
+        return false
+      })
+
+      // when
+      propModel.set('a', 1)
+
+      // then
+      const error = await waiting.catch((e) => e)
+      expect(error.message).to.equal('Bad value')
+    })
+  })
+
+  describe('event transports', () => {
+    it('should use a built-in dispatcher when no event emitter is given', () => {
+      // given
+      const propModel = new PropsModel()
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('double', ['a'], (a) => a * 2)
+      const listener = sinon.spy()
+      const dispose = propModel.onAny(['a', 'double'], listener)
+
+      // when
+      propModel.set('a', 2)
+      dispose()
+      propModel.set('a', 3)
+
+      // then
+      expect(listener.args.map((args) => args.slice(0, 3))).to.deep.equal([['a', 2, 1], ['double', 4, 2]])
+    })
+
+    it('should not invoke listeners added or removed during the same dispatch', () => {
+      // given
+      const propModel = new PropsModel()
+      propModel.defineProp('a', 1)
+      const late = sinon.spy()
+      let disposeSecond = null
+      const first = sinon.spy(() => {
+        disposeSecond()
+        propModel.onAny(['a'], late)
+      })
+      const second = sinon.spy()
+      propModel.onAny(['a'], first)
+      disposeSecond = propModel.onAny(['a'], second)
+
+      // when
+      propModel.set('a', 2)
+
+      // then
+      expect(first).to.have.been.calledOnce
+      expect(second).to.have.been.calledOnce
+      expect(late).not.to.have.been.called
+    })
+
+    itWithGlobal('EventTarget', 'CustomEvent')('should dispatch custom events on an EventTarget', () => {
+      // given
+      const eventTarget = new EventTarget()
+      const propModel = new PropsModel(eventTarget)
+      propModel.defineProp('a', 1)
+      const listener = sinon.spy()
+      const domListener = sinon.spy()
+      const dispose = propModel.onAny(['a'], listener)
+      eventTarget.addEventListener('a-changed', domListener)
+
+      // when
+      propModel.set('a', 2)
+      dispose()
+      propModel.set('a', 3)
+
+      // then
+      expect(listener.args.map((args) => args.slice(0, 3))).to.deep.equal([['a', 2, 1]])
+      expect(domListener.args.map(([event]) => [event.type, event.detail.slice(0, 3)])).to.deep.equal([
+        ['a-changed', ['a', 2, 1]],
+        ['a-changed', ['a', 3, 2]]
+      ])
+    })
+
+    itWithGlobal('EventTarget', 'CustomEvent')('should count listeners registered through the model on an EventTarget', () => {
+      // given
+      const propModel = new PropsModel(new EventTarget())
+      const calculate = sinon.spy((a) => a * 2)
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('double', ['a'], calculate, undefined, { lazy: true })
+      calculate.resetHistory()
+
+      // when
+      propModel.set('a', 2)
+      const dispose = propModel.onAny(['double'], () => {})
+      propModel.set('a', 3)
+      dispose()
+      propModel.set('a', 4)
+
+      // then
+      expect(calculate.args).to.deep.equal([[3]])
+    })
+
+    it('should use a custom adapter', () => {
+      // given
+      const emitted = []
+      const listeners = []
+      const adapter = {
+        subscribe: sinon.spy((eventName, listener) => {
+          listeners.push([eventName, listener])
+          return () => listeners.splice(listeners.findIndex(([, registered]) => registered === listener), 1)
+        }),
+        emit: (eventName, args) => {
+          emitted.push([eventName, args])
+          listeners.filter(([name]) => name === eventName).forEach(([, listener]) => listener(...args))
+        }
+      }
+      const propModel = new PropsModel(adapter)
+      propModel.defineProp('a', 1)
+      const listener = sinon.spy()
+      propModel.onAny(['a'], listener)
+
+      // when
+      propModel.set('a', 2)
+      propModel.dispose()
+
+      // then
+      expect(listener.args.map((args) => args.slice(0, 3))).to.deep.equal([['a', 2, 1]])
+      expect(emitted).to.deep.include(['a-changed', ['a', 2, 1, { source: undefined, meta: undefined, roots: ['a'] }]])
+      expect(adapter.subscribe).to.have.been.calledWith('a-changed', listener)
+      expect(listeners).to.be.empty
+    })
+
+    it('should reject anything else', () => {
+      // expect
+      expect(() => new PropsModel({})).to.throw(
+        'Unsupported event emitter: expected an EventEmitter, an EventTarget, or an event adapter'
+      )
+    })
+  })
+
+  describe('event names', () => {
+    it('should let models with different prefixes share an event emitter', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const first = new PropsModel(eventEmitter, { eventNames: 'first:' })
+      const second = new PropsModel(eventEmitter, { eventNames: 'second:' })
+      first.defineProp('a', 1)
+      second.defineProp('a', 1)
+      const firstListener = sinon.spy()
+      const secondListener = sinon.spy()
+      const chainListener = sinon.spy()
+      first.onAny(['a'], firstListener)
+      second.onAny(['a'], secondListener)
+      eventEmitter.on('first:prop-chain-completed', chainListener)
+
+      // when
+      first.set('a', 2)
+      second.set('a', 3)
+
+      // then
+      expect(firstListener.args.map((args) => args.slice(0, 3))).to.deep.equal([['a', 2, 1]])
+      expect(secondListener.args.map((args) => args.slice(0, 3))).to.deep.equal([['a', 3, 1]])
+      expect(chainListener.args.map(([firedProps]) => firedProps)).to.deep.equal([['a']])
+      expect(eventEmitter.listenerCount('a-changed')).to.equal(0)
+    })
+
+    it('should name every event with a naming function', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const emit = sinon.spy(eventEmitter, 'emit')
+      const eventNames = (type, propName) => propName === undefined ? `model:${type}` : `prop:${propName}:${type}`
+      const propModel = new PropsModel(eventEmitter, { eventNames, validation: 'soft' })
+      propModel.defineProp('prop-chain', 1)
+      propModel.defineListProp('list', [])
+      propModel.defineErrorsProp()
+      propModel.defineProp('b', 1, (b) => {
+        if (b <= 0) {
+          throw new Error('Must be positive')
+        }
+      })
+      emit.resetHistory()
+
+      // when
+      propModel.set('prop-chain', 2)
+      propModel.getList('list').push('x')
+      propModel.set('b', 0)
+      propModel.undefineProp('prop-chain')
+
+      // then
+      expect(emit.args.map(([eventName]) => eventName)).to.deep.equal([
+        'prop:prop-chain:changed',
+        'model:prop-chain-completed',
+        'prop:list:spliced',
+        'prop:list:changed',
+        'model:prop-chain-completed',
+        'prop:b:changed',
+        'prop:validationErrors:changed',
+        'model:prop-chain-completed',
+        'model:errors-changed',
+        'model:prop-removed'
+      ])
+      expect(propModel.getEventName('changed', 'b')).to.equal('prop:b:changed')
+      expect(propModel.getEventName('prop-chain-completed')).to.equal('model:prop-chain-completed')
+    })
+
+    it('should use the event names to subscribe and to check for listeners', async () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter, { eventNames: 'm.' })
+      const calculate = sinon.spy((a) => a * 2)
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('double', ['a'], calculate, undefined, { lazy: true })
+      const chainHandler = sinon.spy()
+      propModel.onPropChainComplete(chainHandler)
+      const waiting = propModel.waitFor('a', (a) => a > 2)
+      calculate.resetHistory()
+
+      // when
+      propModel.set('a', 2)
+      eventEmitter.on('m.double-changed', () => {})
+      propModel.set('a', 3)
+
+      // then
+      expect(await waiting).to.equal(3)
+      expect(calculate.args).to.deep.equal([[3]])
+      expect(chainHandler).to.have.been.calledTwice
+    })
+
+    it('should reject an invalid event names option', () => {
+      // expect
+      expect(() => new PropsModel(new EventEmitter(), { eventNames: 42 })).to.throw(
+        'The eventNames option must be a string or a function'
+      )
+    })
+  })
+
+  describe('definition events', () => {
+    it('should fire a prop-defined event and a change event for each new property', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      const defined = sinon.spy()
+      const changed = sinon.spy()
+      eventEmitter.on('prop-defined', defined)
+      eventEmitter.on('a-changed', changed)
+
+      // when
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('lazy', ['a'], (a) => a * 2, undefined, { lazy: true })
+
+      // then
+      expect(defined.args).to.deep.equal([['a', 1], ['lazy', undefined]])
+      expect(changed.args.map((args) => args.slice(0, 3))).to.deep.equal([['a', 1, undefined]])
+    })
+
+    it('should only fire the prop-defined event when definition change events are turned off', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter, { definitionChangeEvents: false })
+      const defined = sinon.spy()
+      const changed = sinon.spy()
+      const chainCompleted = sinon.spy()
+      eventEmitter.on('prop-defined', defined)
+      eventEmitter.on('a-changed', changed)
+      eventEmitter.on('b-changed', changed)
+      eventEmitter.on('prop-chain-completed', chainCompleted)
+
+      // when
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('b', ['a'], (a) => a + 1)
+      propModel.set('a', 2)
+
+      // then
+      expect(defined.args).to.deep.equal([['a', 1], ['b', 2]])
+      expect(changed.args.map((args) => args.slice(0, 3))).to.deep.equal([['a', 2, 1], ['b', 3, 2]])
+      expect(chainCompleted.args.map(([firedProps]) => firedProps)).to.deep.equal([['a', 'b']])
+    })
+
+    it('should not fire a prop-defined event for internal properties', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineMapProp('users', [['42', 'Ann']])
+      const defined = sinon.spy()
+      eventEmitter.on('prop-defined', defined)
+
+      // when
+      propModel.onKey('users', '42', () => {})
+
+      // then
+      expect(defined).not.to.have.been.called
+    })
+  })
+
+  describe('change records', () => {
+    it('should pass a record of every change to any property, including properties defined later', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('double', ['a'], (a) => a * 2)
+      const handler = sinon.spy()
+      propModel.onAnyChange(handler)
+
+      // when
+      propModel.set('a', 2)
+      propModel.defineProp('b', 'x')
+      propModel.set('b', 'y')
+
+      // then
+      const setA = { source: undefined, meta: undefined, roots: ['a'] }
+      const defineB = { source: undefined, meta: undefined, roots: ['b'] }
+      const setB = { source: undefined, meta: undefined, roots: ['b'] }
+      expect(handler.args.map(([record]) => record)).to.deep.equal([
+        { prop: 'a', newValue: 2, oldValue: 1, derived: false, cause: 'set', chainId: 3, provenance: setA },
+        { prop: 'double', newValue: 4, oldValue: 2, derived: true, cause: 'dependency', chainId: 3, provenance: setA },
+        { prop: 'b', newValue: 'x', oldValue: undefined, derived: false, cause: 'define', chainId: 4, provenance: defineB },
+        { prop: 'b', newValue: 'y', oldValue: 'x', derived: false, cause: 'set', chainId: 5, provenance: setB }
+      ])
+    })
+
+    it('should give every change made in the same chain the same chain id', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      propModel.defineProp('b', 1)
+      propModel.onAny(['a'], (propName, a) => propModel.set('b', a * 10))
+      const handler = sinon.spy()
+      propModel.onAnyChange(handler)
+
+      // when
+      propModel.set('a', 2)
+      propModel.set('a', 3)
+
+      // then
+      const records = handler.args.map(([record]) => [record.prop, record.chainId])
+      expect(records[0][1]).to.equal(records[1][1])
+      expect(records[2][1]).to.equal(records[3][1])
+      expect(records[0][1]).not.to.equal(records[2][1])
+      expect(records.map(([prop]) => prop)).to.deep.equal(['b', 'a', 'b', 'a'])
+    })
+
+    it('should include changes to paths in child models, but not internal properties', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      const address = new PropsModel(new EventEmitter())
+      address.defineProp('city', 'Springfield')
+      propModel.defineChildModel('address', address)
+      propModel.defineMapProp('users', [['42', 'Ann']])
+      propModel.onKey('users', '42', () => {})
+      const handler = sinon.spy()
+      propModel.onAnyChange(handler)
+
+      // when
+      address.set('city', 'Shelbyville')
+      propModel.setKey('users', '42', 'Bob')
+
+      // then
+      expect(handler.args.map(([{ prop, cause }]) => [prop, cause])).to.deep.equal([
+        ['address.city', 'child'],
+        ['address', 'set'],
+        ['users', 'set']
+      ])
+    })
+
+    it('should calculate lazy properties while a handler is registered', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      const calculate = sinon.spy((a) => a * 2)
+      propModel.defineProp('a', 1)
+      propModel.defineDerivedProp('double', ['a'], calculate, undefined, { lazy: true })
+      const handler = sinon.spy()
+      const dispose = propModel.onAnyChange(handler)
+
+      // when
+      propModel.set('a', 2)
+      dispose()
+      propModel.set('a', 3)
+
+      // then
+      expect(calculate.args).to.deep.equal([[2]])
+      expect(handler.args.map(([{ prop, newValue }]) => [prop, newValue])).to.deep.equal([['a', 2], ['double', 4]])
+    })
+
+    it('should only pass changes to readable properties through an api', () => {
+      // given
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('a', 1)
+      propModel.defineProp('_b', 1)
+      const handler = sinon.spy()
+      propModel.getStandardPublicApi().onAnyChange(handler)
+
+      // when
+      propModel.set('a', 2)
+      propModel.set('_b', 2)
+      propModel.defineProp('c', 1)
+      propModel.defineProp('_d', 1)
+
+      // then
+      expect(handler.args.map(([{ prop }]) => prop)).to.deep.equal(['a', 'c'])
+    })
+
+    it('should not fire the change record event without listeners, and stop on dispose', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const emit = sinon.spy(eventEmitter, 'emit')
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('a', 1)
+      const handler = sinon.spy()
+      propModel.onAnyChange(handler)
+
+      // when
+      propModel.dispose()
+      propModel.set('a', 2)
+
+      // then
+      expect(handler).not.to.have.been.called
+      expect(emit).not.to.have.been.calledWith('any-change')
+      expect(eventEmitter.listenerCount('any-change')).to.equal(0)
+    })
+
+    it('should not mix up change records with the change events of a property named like the model event', () => {
+      // given
+      const eventEmitter = new EventEmitter()
+      const propModel = new PropsModel(eventEmitter)
+      propModel.defineProp('prop', 1)
+      propModel.defineProp('any', 1)
+      const handler = sinon.spy()
+      const listener = sinon.spy()
+      propModel.onAnyChange(handler)
+      propModel.onAny(['prop', 'any'], listener)
+
+      // when
+      propModel.set({ prop: 2, any: 2 })
+
+      // then
+      expect(handler.args.map(([{ prop }]) => prop)).to.deep.equal(['prop', 'any'])
+      expect(listener.args.map(([propName]) => propName)).to.deep.equal(['prop', 'any'])
+    })
+  })
+
+  describe('change provenance', () => {
+    const createModel = () => {
+      const propModel = new PropsModel(new EventEmitter())
+      propModel.defineProp('size', { length: 10, width: 20 })
+      propModel.defineViewOfObjectProp('width', 'size', 'width')
+      propModel.defineDerivedProp('area', ['size'], ({ length, width }) => length * width)
+      propModel.defineProp('name', 'box')
+      return propModel
+    }
+
+    it('should pass the source and meta of a write to every change event it leads to', () => {
+      // given
+      const propModel = createModel()
+      const listener = sinon.spy()
+      propModel.onAny(['size', 'width', 'area'], listener)
+
+      // when
+      propModel.set('width', 30, { source: 'user', meta: { field: 'width-input' } })
+
+      // then
+      const provenance = { source: 'user', meta: { field: 'width-input' }, roots: ['width'] }
+      expect(listener.args).to.deep.equal([
+        ['size', { length: 10, width: 30 }, { length: 10, width: 20 }, provenance],
+        ['area', 300, 200, provenance],
+        ['width', 30, 20, provenance]
+      ])
+    })
+
+    it('should pass the provenance of a batch to the chain completed event', () => {
+      // given
+      const propModel = createModel()
+      const chainHandler = sinon.spy()
+      propModel.onPropChainComplete(chainHandler)
+
+      // when
+      propModel.set({ width: 5, name: 'crate' }, { source: 'server', meta: 7 })
+
+      // then
+      expect(chainHandler).to.have.been.calledOnceWithExactly(
+        ['size', 'name', 'area', 'width'],
+        { source: 'server', meta: 7, roots: ['width', 'name'] }
+      )
+    })
+
+    it('should give changes made by listeners the source and meta of the chain', () => {
+      // given
+      const propModel = createModel()
+      propModel.onAny(['area'], (propName, area) => propModel.set('name', `box of ${area}`))
+      const nameListener = sinon.spy()
+      propModel.onAny(['name'], nameListener)
+      const chainHandler = sinon.spy()
+      propModel.onPropChainComplete(chainHandler)
+
+      // when
+      propModel.set('width', 1, { source: 'user' })
+
+      // then
+      expect(nameListener.args[0][3]).to.deep.equal({ source: 'user', meta: undefined, roots: ['name'] })
+      expect(chainHandler.args[0][1]).to.deep.equal({ source: 'user', meta: undefined, roots: ['width'] })
+    })
+
+    it('should combine the writes of a transaction', () => {
+      // given
+      const propModel = createModel()
+      const listener = sinon.spy()
+      propModel.onAny(['area', 'name'], listener)
+
+      // when
+      propModel.transaction(() => {
+        propModel.set('width', 2)
+        propModel.set('name', 'small box', { source: 'sync', meta: 'first' })
+        propModel.set('name', 'tiny box', { source: 'other' })
+      })
+      propModel.transaction(() => {
+        propModel.set('width', 3, { source: 'ignored' })
+      }, { source: 'import' })
+
+      // then
+      expect(listener.args.map(([propName, , , provenance]) => [propName, provenance])).to.deep.equal([
+        ['name', { source: 'sync', meta: 'first', roots: ['width', 'name'] }],
+        ['area', { source: 'sync', meta: 'first', roots: ['width', 'name'] }],
+        ['area', { source: 'import', meta: undefined, roots: ['width'] }]
+      ])
+    })
+
+    it('should mark the changes made by undo and redo', () => {
+      // given
+      const propModel = createModel()
+      propModel.enableHistory()
+      propModel.set('name', 'crate', { source: 'user' })
+      const listener = sinon.spy()
+      propModel.onAny(['name'], listener)
+
+      // when
+      propModel.undo()
+      propModel.redo()
+
+      // then
+      expect(listener.args.map(([, , , { source }]) => source)).to.deep.equal(['undo', 'redo'])
+    })
+
+    it('should pass the provenance of a child model change to the parent', () => {
+      // given
+      const address = new PropsModel(new EventEmitter())
+      address.defineProp('city', 'Springfield')
+      const person = new PropsModel(new EventEmitter())
+      person.defineChildModel('address', address)
+      const listener = sinon.spy()
+      person.onAny(['address.city', 'address'], listener)
+
+      // when
+      address.set('city', 'Shelbyville', { source: 'user', meta: 'form' })
+
+      // then
+      expect(listener.args.map(([propName, , , provenance]) => [propName, provenance])).to.deep.equal([
+        ['address.city', { source: 'user', meta: 'form', roots: ['address'] }],
+        ['address', { source: 'user', meta: 'form', roots: ['address'] }]
+      ])
+    })
+
+    it('should only include readable roots through an api', () => {
+      // given
+      const propModel = createModel()
+      propModel.defineProp('_secret', 1)
+      const chainHandler = sinon.spy()
+      propModel.getStandardPublicApi().onPropChainComplete(chainHandler)
+
+      // when
+      propModel.set({ name: 'crate', _secret: 2 }, { source: 'user' })
+
+      // then
+      expect(chainHandler).to.have.been.calledOnceWithExactly(['name'], { source: 'user', meta: undefined, roots: ['name'] })
+    })
+
+    it('should only include readable roots in change listeners and records through an api', () => {
+      // given
+      const propModel = createModel()
+      propModel.defineProp('_secret', 1)
+      propModel.defineDerivedProp('label', ['name', '_secret'], (name, secret) => `${name}-${secret}`)
+      const api = propModel.getStandardPublicApi()
+      const anyListener = sinon.spy()
+      const changeHandler = sinon.spy()
+      const records = []
+      api.onAny(['label'], anyListener)
+      api.createChangeHandler(['label'], changeHandler)
+      api.onAnyChange((record) => records.push(record))
+
+      // when
+      propModel.set({ name: 'crate', _secret: 2 }, { source: 'user' })
+
+      // then
+      const provenance = { source: 'user', meta: undefined, roots: ['name'] }
+      expect(anyListener.args[0][3]).to.deep.equal(provenance)
+      expect(changeHandler.args[0][4]).to.deep.equal(provenance)
+      expect(records.map((record) => record.provenance)).to.deep.equal([provenance, provenance])
+    })
+  })
 })